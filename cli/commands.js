@@ -0,0 +1,209 @@
+import { readFile, readdir, writeFile } from "node:fs/promises";
+import { join, relative, resolve, sep } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  EXPORT_PROFILES,
+  NAMING_STRATEGIES,
+  defaultPackInfo,
+  readPackZip,
+  readPackFiles,
+  configFromImport,
+  suggestedAssignments,
+  planExport,
+  validatePack,
+  buildPackZip,
+  checkPack,
+  snapshotImport,
+} from "../src/pack/index.js";
+import { formatFileSize } from "../src/utils/format.js";
+
+const USAGE = `Usage: sdeck <command> [options]
+
+Commands:
+  build <folder>     Build a pack ZIP from a folder of sounds
+  inspect <zip>      Show a pack's manifest and what each slot plays
+  validate <zip>     Check a pack against what SteamOS and AudioLoader can play
+
+Build options:
+  --out <file>           Where to write the ZIP (default: <name>-<version>.zip)
+  --profile <profile>    ${EXPORT_PROFILES.map(({ value }) => value).join(", ")} (default: audioloader)
+  --naming <naming>      ${NAMING_STRATEGIES.map(({ value }) => value).join(", ")} (default: keep)
+  --name, --version, --author, --description <text>
+                         Override the folder's pack.json
+  --baseline <zip>       Previous release, for a CHANGELOG.md
+  --force                Write the ZIP even if validation finds errors
+
+Inspect and validate options:
+  --json                 Print JSON instead of text
+
+A folder with a pack.json is built from its mappings. Otherwise each audio
+file goes to the slot its name matches, as when adding a folder in the app.`;
+
+const OPTIONS = {
+  out: { type: "string" },
+  profile: { type: "string", default: "audioloader" },
+  naming: { type: "string", default: "keep" },
+  name: { type: "string" },
+  version: { type: "string" },
+  author: { type: "string" },
+  description: { type: "string" },
+  baseline: { type: "string" },
+  force: { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Mirrors the app's import: paths relative to the folder, with "/" separators
+const readFolder = async (folder) => {
+  const entries = await readdir(folder, { recursive: true, withFileTypes: true });
+  return Promise.all(entries
+    .filter((entry) => entry.isFile())
+    .map(async (entry) => {
+      const path = join(entry.parentPath ?? entry.path, entry.name);
+      return { path: relative(folder, path).split(sep).join("/"), blob: new Blob([await readFile(path)]) };
+    }));
+};
+
+const readZip = async (path) => {
+  try {
+    return await readPackZip(await readFile(path));
+  } catch (error) {
+    if (error.code === "ENOENT") throw error;
+    throw new Error(`${path} could not be opened. Make sure it is a valid ZIP file.`);
+  }
+};
+
+const printIssues = ({ errors, warnings }) => {
+  const line = (kind, { slot, track, message }) =>
+    `${kind} ${[slot, track].filter(Boolean).join(" › ")}${slot || track ? ": " : ""}${message}`;
+  errors.forEach((issue) => console.error(line("error", issue)));
+  warnings.forEach((issue) => console.error(line("warning", issue)));
+};
+
+const build = async (folder, options) => {
+  if (!EXPORT_PROFILES.some(({ value }) => value === options.profile)) {
+    throw new Error(`Unknown profile "${options.profile}".`);
+  }
+  if (!NAMING_STRATEGIES.some(({ value }) => value === options.naming)) {
+    throw new Error(`Unknown naming "${options.naming}".`);
+  }
+
+  const result = await readPackFiles(await readFolder(folder));
+  const { config, packInfo: folderPackInfo } = configFromImport(result, suggestedAssignments(result));
+  const overrides = Object.fromEntries(
+    ["name", "version", "author", "description"].filter((field) => options[field] !== undefined).map((field) => [field, options[field]])
+  );
+  const packInfo = { ...(folderPackInfo || defaultPackInfo), ...overrides };
+
+  // The import's own notes talk about the app's dialog
+  if (!result.packInfo) console.error("note No usable pack.json, so files were matched to slots by name.");
+  result.notes
+    .filter((note) => !note.includes("assigned to slots below"))
+    .forEach((note) => console.error(`note ${note}`));
+  result.strays
+    .filter((stray) => !stray.suggestedSlot)
+    .forEach(({ path }) => console.error(`skipped ${path}: no slot matches its name`));
+  result.missing.forEach(({ slot, name }) => console.error(`skipped ${slot} › ${name}: mapped but not found`));
+
+  const plan = await planExport(config, packInfo, options.naming);
+  const report = await validatePack(config, packInfo, plan);
+  printIssues(report);
+  if (report.errors.length > 0 && !options.force) {
+    console.error("Not written because of the errors above. Use --force to write it anyway.");
+    return 1;
+  }
+
+  const baseline = options.baseline ? await snapshotImport(await readZip(options.baseline)) : null;
+  const { data, fileName } = await buildPackZip(config, packInfo, {
+    profile: options.profile,
+    plan,
+    baseline,
+    type: "uint8array",
+  });
+  const out = resolve(options.out || fileName);
+  await writeFile(out, data);
+
+  const trackCount = plan.entries.length;
+  console.log(`Wrote ${out} (${trackCount} sound${trackCount === 1 ? "" : "s"}, ${formatFileSize(data.length)})`);
+  return 0;
+};
+
+const inspect = async (zipPath, options) => {
+  const result = await readZip(zipPath);
+
+  if (options.json) {
+    const slots = Object.fromEntries(Object.entries(result.slots).map(([slot, tracks]) => [
+      slot,
+      tracks.map(({ name, blob, weight }) => ({ name, size: blob.size, ...(weight !== undefined && { weight }) })),
+    ]));
+    const strays = result.strays.map(({ path, suggestedSlot }) => ({ path, suggestedSlot }));
+    console.log(JSON.stringify({ ...result, slots, strays }, null, 2));
+    return 0;
+  }
+
+  const { packInfo } = result;
+  if (packInfo) {
+    console.log(`${packInfo.name} ${packInfo.version}${packInfo.author && ` by ${packInfo.author}`}`);
+    if (packInfo.description) console.log(packInfo.description);
+    console.log(`${packInfo.music ? "Music" : "Sound effects"} pack, manifest version ${packInfo.manifest_version}`);
+    if (packInfo.ignore.length > 0) console.log(`Silenced: ${packInfo.ignore.join(", ")}`);
+  }
+  result.notes.forEach((note) => console.log(note));
+
+  const slots = Object.entries(result.slots);
+  const custom = slots.filter(([, tracks]) => tracks.length > 0);
+  console.log("");
+  custom.forEach(([slot, tracks]) => {
+    const variants = tracks.map(({ name, blob, weight }) =>
+      `${name} (${formatFileSize(blob.size)}${weight !== undefined ? `, weight ${weight}` : ""})`
+    );
+    console.log(`${slot}: ${variants.join(", ")}`);
+  });
+  if (custom.length < slots.length) console.log(`${slots.length - custom.length} other mapped slot(s) play the stock sound.`);
+
+  result.missing.forEach(({ slot, name }) => console.log(`missing ${slot} › ${name}`));
+  result.strays.forEach(({ path, suggestedSlot }) =>
+    console.log(`unmapped ${path}${suggestedSlot ? ` (looks like ${suggestedSlot})` : ""}`)
+  );
+  return 0;
+};
+
+const validate = async (zipPath, options) => {
+  const report = await checkPack(await readZip(zipPath));
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printIssues(report);
+    console.log(report.errors.length === 0
+      ? `${zipPath} is valid${report.warnings.length > 0 ? ` (${report.warnings.length} warning(s))` : ""}.`
+      : `${zipPath} has ${report.errors.length} error(s).`);
+  }
+  return report.errors.length > 0 ? 1 : 0;
+};
+
+const COMMANDS = { build, inspect, validate };
+
+// Returns the exit code
+export const run = async (args) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command, target] = parsed.positionals;
+  if (parsed.values.help || !COMMANDS[command] || !target) {
+    console.log(USAGE);
+    return parsed.values.help ? 0 : 2;
+  }
+
+  try {
+    return await COMMANDS[command](target, parsed.values);
+  } catch (error) {
+    console.error(error.code === "ENOENT" ? `${error.path} does not exist.` : error.message);
+    return 1;
+  }
+};
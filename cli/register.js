@@ -0,0 +1,3 @@
+import { register } from "node:module";
+
+register("./resolveHooks.js", import.meta.url);
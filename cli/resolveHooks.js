@@ -0,0 +1,10 @@
+// Node module hooks that let the CLI and tests load the app's source as-is.
+// Vite resolves extensionless imports ("./packManifest"); Node needs the ".js".
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== "ERR_MODULE_NOT_FOUND" || !/^\.{1,2}\//.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
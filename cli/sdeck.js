@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// The hooks have to be registered before the app's modules are loaded, hence
+// the dynamic import
+import "./register.js";
+
+const { run } = await import("./commands.js");
+process.exitCode = await run(process.argv.slice(2));
@@ -35,4 +35,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['cli/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
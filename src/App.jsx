@@ -1,19 +1,98 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
 import { useDropzone } from 'react-dropzone';
-import JSZip from "jszip";
 import { saveAs } from "file-saver";
-import { TrashIcon, ArrowUpTrayIcon, FolderIcon, PlayIcon, PauseIcon, ArrowDownTrayIcon } from "@heroicons/react/24/outline";
-import itemsData from "./data/files.json";
-
-const ConfirmationModal = ({ isOpen, onClose, onConfirm, message }) => {
-  if (!isOpen) return null;
+import { TrashIcon, ArrowUpTrayIcon, FolderIcon, PlayIcon, PauseIcon, ArrowDownTrayIcon, ScissorsIcon, AdjustmentsVerticalIcon, RectangleStackIcon, ArrowsPointingInIcon, ArrowUturnLeftIcon, ArrowUturnRightIcon, ChevronDownIcon, ChevronRightIcon, Bars3Icon, FolderPlusIcon, PencilSquareIcon, ComputerDesktopIcon, ArrowPathIcon, ShareIcon, SparklesIcon, MicrophoneIcon, SpeakerWaveIcon } from "@heroicons/react/24/outline";
+import {
+  convertAudio,
+  hasFormat,
+  defaultConversionSettings,
+  SAMPLE_RATES,
+  BIT_DEPTHS,
+  CHANNEL_OPTIONS,
+  MIME_TYPES,
+} from "./utils/convertAudio";
+import { hasEdits, defaultEdits, clampGain } from "./utils/audioEdits";
+import { analyzeFile, analyzeStockSound, normalizationGain, formatDb } from "./utils/loudness";
+import { formatFileSize } from "./utils/format";
+import {
+  MANIFEST_VERSIONS,
+  defaultPackInfo,
+  isValidVersion,
+  getCatalog,
+  getSlotFormat,
+  createEmptyConfig,
+  normalizePackInfo,
+} from "./utils/packManifest";
+import {
+  NAMING_STRATEGIES,
+  EXPORT_PROFILES,
+  exportFileName,
+  planExport,
+  validatePack,
+  buildManifest,
+  buildPackZip,
+  readPackZip,
+  configFromImport,
+  snapshotImport,
+} from "./pack";
+import TrackEditor from "./components/TrackEditor";
+import {
+  createProjectId,
+  deserializeConfig,
+  saveProject,
+  loadProject,
+  deleteProject,
+  listProjects,
+  getLastProjectId,
+  setLastProjectId,
+} from "./utils/projectStore";
+import ValidationReport from "./components/ValidationReport";
+import ProjectsPanel from "./components/ProjectsPanel";
+import ImportSummary from "./components/ImportSummary";
+import MergeImport from "./components/MergeImport";
+import AuditionPanel from "./components/AuditionPanel";
+import CatalogToolbar from "./components/CatalogToolbar";
+import WaveformScrubber from "./components/WaveformScrubber";
+import { fetchStockSound, getStockSoundUrl } from "./utils/stockSounds";
+import { filterCatalog, groupCatalog } from "./utils/catalog";
+import { mergeTracks, uniqueName } from "./utils/mergePack";
+import { renderSynthFile } from "./utils/synth";
+import SynthPanel from "./components/SynthPanel";
+import VariantControls from "./components/VariantControls";
+import { MAX_WEIGHT, clampWeight, getVariantSettings, trackWeight, variantChances } from "./utils/variants";
+import { recordingToWav } from "./utils/recorder";
+import RecordPanel from "./components/RecordPanel";
+import { UPLOAD_ACCEPT, readDroppedFiles, readPickedFiles, proposeAssignments } from "./utils/folderImport";
+import FolderAssignment from "./components/FolderAssignment";
+import { TRACK_DRAG_TYPE, isTrackDrag, isCopyDrag, canDropTrack, moveTrack } from "./utils/trackOrder";
+import { usePackHistory } from "./hooks/usePackHistory";
+import { usePwa } from "./hooks/usePwa";
+import { useFocusTrap } from "./hooks/useFocusTrap";
+import { useGamepadNavigation } from "./hooks/useGamepadNavigation";
+import { playFeedback } from "./utils/uiFeedback";
+import { readShareLink, clearShareLink, readProjectFile, loadProjectAudio } from "./utils/shareProject";
+import ShareDialog from "./components/ShareDialog";
+import BatchEffectsPanel from "./components/BatchEffectsPanel";
+import PackDiffDialog from "./components/PackDiffDialog";
+import { CHANGELOG_FILE } from "./utils/packDiff";
+import SharedProjectPrompt from "./components/SharedProjectPrompt";
+
+const ConfirmationDialog = ({ onClose, onConfirm, message }) => {
+  const dialogRef = useFocusTrap(onClose);
 
   return (
     <div 
       className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" 
       onClick={onClose}
     >
-      <div className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-sm w-full">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-sm w-full"
+        onClick={(e) => e.stopPropagation()}
+      >
         <p className="text-lg mb-4">{message}</p>
         <div className="flex justify-end gap-4">
           <button
@@ -34,9 +113,15 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, message }) => {
   );
 };
 
-const PreviewButton = React.memo(({ fileName }) => {
+// The dialog only mounts while open, so its focus trap starts and ends with it
+const ConfirmationModal = ({ isOpen, ...props }) => (isOpen ? <ConfirmationDialog {...props} /> : null);
+
+const PreviewButton = React.memo(({ fileName, view }) => {
   const [isPlaying, setIsPlaying] = useState(false);
-  const audioRef = useRef(new Audio(`/sounds/${fileName}`));
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const audioRef = useRef(new Audio(getStockSoundUrl(fileName)));
+  const loadStockSound = useCallback(() => fetchStockSound(fileName), [fileName]);
 
   const togglePlayPause = useCallback(() => {
     const audio = audioRef.current;
@@ -51,29 +136,52 @@ const PreviewButton = React.memo(({ fileName }) => {
   useEffect(() => {
     const audio = audioRef.current;
     const handleEnded = () => setIsPlaying(false);
+    const handleTimeUpdate = () => setCurrentTime(audio.currentTime);
+    const handleLoadedMetadata = () => setDuration(audio.duration);
 
     audio.addEventListener("ended", handleEnded);
+    audio.addEventListener("timeupdate", handleTimeUpdate);
+    audio.addEventListener("loadedmetadata", handleLoadedMetadata);
     return () => {
       audio.removeEventListener("ended", handleEnded);
+      audio.removeEventListener("timeupdate", handleTimeUpdate);
+      audio.removeEventListener("loadedmetadata", handleLoadedMetadata);
       audio.pause();
     };
   }, []);
 
+  const handleSeek = (time) => {
+    audioRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
   return (
-    <button
-      onClick={togglePlayPause}
-      className="bg-nightLight hover:bg-accent hover:text-night p-2 rounded-full px-4 flex items-center gap-1"
-    >
-      
-      {isPlaying 
-        ? <PauseIcon className="w-5 h-5"/> 
-        : <PlayIcon className="w-5 h-5"/>
-      }
+    <div className="flex flex-col items-end gap-1">
+      <button
+        onClick={togglePlayPause}
+        className="bg-nightLight hover:bg-accent hover:text-night p-2 rounded-full px-4 flex items-center gap-1"
+      >
+        
+        {isPlaying 
+          ? <PauseIcon className="w-5 h-5"/> 
+          : <PlayIcon className="w-5 h-5"/>
+        }
 
-      <span className="text-nowrap">
-        Default
-      </span>
-    </button>
+        <span className="text-nowrap">
+          Default
+        </span>
+      </button>
+      <WaveformScrubber
+        file={loadStockSound}
+        currentTime={currentTime}
+        duration={duration}
+        onSeek={handleSeek}
+        view={view}
+        width={120}
+        height={24}
+        className="w-[120px]"
+      />
+    </div>
   );
 });
 
@@ -102,14 +210,7 @@ const TrackerScrubber = ({ currentTime, duration, onChange }) => {
   );
 };
 
-const formatFileSize = (bytes) => {
-  if (bytes === 0) return '0 B';
-  const sizes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  return (bytes / Math.pow(1024, i)).toFixed(2) + ' ' + sizes[i];
-};
-
-const AudioControls = React.memo(({ url }) => {
+const AudioControls = React.memo(({ url, file, view }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const audioRef = useRef(new Audio(url));
   const [currentTime, setCurrentTime] = useState(0);
@@ -143,8 +244,7 @@ const AudioControls = React.memo(({ url }) => {
     setIsPlaying(!isPlaying);
   }, [isPlaying]);
 
-  const handleScrubberChange = (e) => {
-    const newTime = parseFloat(e.target.value);
+  const handleScrubberChange = (newTime) => {
     const audio = audioRef.current;
     audio.currentTime = newTime;
     setCurrentTime(newTime);
@@ -169,11 +269,25 @@ const AudioControls = React.memo(({ url }) => {
           : <PlayIcon className="h-5 w-5" />}
       </button>
       <div className="flex-1">
-        <TrackerScrubber
-          currentTime={currentTime}
-          duration={duration}
-          onChange={handleScrubberChange}
-        />
+        {file
+          ? (
+            <WaveformScrubber
+              file={file}
+              currentTime={currentTime}
+              duration={duration}
+              onSeek={handleScrubberChange}
+              view={view}
+              className="w-[240px] max-w-full"
+            />
+          )
+          : (
+            <TrackerScrubber
+              currentTime={currentTime}
+              duration={duration}
+              onChange={handleScrubberChange}
+            />
+          )
+        }
         <div className="flex justify-between text-xs text-accentLight mt-1">
           <span>{formatTime(currentTime)}</span>
           <span>{formatTime(duration)}</span>
@@ -183,36 +297,185 @@ const AudioControls = React.memo(({ url }) => {
   );
 });
 
-const AudioTrack = React.memo(({ name, url, size, onRemove }) => (
-  <div className="p-4 border-l-4 border-l-transparent mt-0 hover:border-l-accent">
-    <b>{name}</b>
+const TrackAnalysis = ({ analysis }) => {
+  if (analysis === undefined) {
+    return <small className="text-xs text-accentLight">Analyzing…</small>;
+  }
 
-    <small className="table bg-night mt-2 mb-1 border-2 border-nightLight border-solid py-1 px-4 rounded-full">{formatFileSize(size)}</small>
+  if (analysis === null) {
+    return <small className="text-xs text-accentLight">Analysis unavailable</small>;
+  }
 
-    <div className="flex items-center justify-between">
-      <AudioControls url={url} />
-      <button
-        onClick={() => onRemove(name)}
-        className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1"
-      >
-        <TrashIcon className="h-5 w-5" />
-        <span className="hidden">Delete</span>
-      </button>
-    </div>
-  </div>
-));
+  return (
+    <>
+      <small className="text-xs" title="Integrated loudness">{formatDb(analysis.lufs, "LUFS")}</small>
+      <small className="text-xs" title="Peak level">Peak {formatDb(analysis.peak)}</small>
+      <small className="text-xs" title="RMS level">RMS {formatDb(analysis.rms)}</small>
+      {analysis.clippedSamples > 0 && (
+        <small
+          className="table bg-red-600 text-white py-1 px-4 rounded-full"
+          title={`${analysis.clippedSamples} clipped samples`}
+        >
+          Clipping
+        </small>
+      )}
+    </>
+  );
+};
 
-const handleExportConfig = (config, packInfo) => {
-  const exportMappings = {};
-  for (const fileName in config) {
-    exportMappings[fileName] = config[fileName].map((f) => f.name);
-  }
+const AudioTrack = React.memo(({ slot, name, url, size, file, edits, analysis, view, weight, chance, editable = true, onRemove, onRename, onEditsChange, onWeightChange, onDropTrack }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftName, setDraftName] = useState(null);
+  const [dropPosition, setDropPosition] = useState(null);
+  const trackRef = useRef(null);
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData(TRACK_DRAG_TYPE, JSON.stringify({ slot, name }));
+    e.dataTransfer.effectAllowed = "copyMove";
+    e.dataTransfer.setDragImage(trackRef.current, 0, 0);
+  };
+
+  // Dropping on the upper half inserts before this track, the lower half after it
+  const handleDragOver = (e) => {
+    if (!isTrackDrag(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = isCopyDrag(e) ? "copy" : "move";
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropPosition(e.clientY < rect.top + rect.height / 2 ? "before" : "after");
+  };
 
-  const configData = {
-    ...packInfo,
-    mappings: exportMappings,
+  const handleDrop = (e) => {
+    if (!isTrackDrag(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropPosition(null);
+    onDropTrack(e, dropPosition || "after");
   };
 
+  return (
+    <div
+      ref={trackRef}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDropPosition(null)}
+      onDrop={handleDrop}
+      className={`p-4 border-l-4 border-l-transparent mt-0 hover:border-l-accent border-y-2 ${
+        dropPosition === "before" ? "border-t-accent" : "border-t-transparent"
+      } ${dropPosition === "after" ? "border-b-accent" : "border-b-transparent"}`}
+    >
+      <div className="flex items-center gap-2">
+        <span
+          draggable
+          onDragStart={handleDragStart}
+          title="Drag to reorder. Hold Ctrl or Alt to copy to another slot."
+          className="cursor-grab text-accentLight hover:text-accent"
+        >
+          <Bars3Icon className="h-5 w-5" />
+        </span>
+        {draftName === null
+          ? (
+            <>
+              <b className="truncate">{name}</b>
+              <button
+                type="button"
+                title="Rename"
+                onClick={() => setDraftName(name)}
+                className="text-accentLight hover:text-accent"
+              >
+                <PencilSquareIcon className="h-4 w-4" />
+                <span className="hidden">Rename</span>
+              </button>
+            </>
+          )
+          : (
+            <input
+              type="text"
+              aria-label="File name"
+              autoFocus
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              onFocus={(e) => e.target.select()}
+              onBlur={(e) => {
+                if (!e.target.dataset.cancelled) onRename(name, draftName);
+                setDraftName(null);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === "Escape") e.target.dataset.cancelled = "true";
+                if (e.key === "Enter" || e.key === "Escape") e.target.blur();
+              }}
+              className="flex-1 outline-none px-2 py-1 bg-night text-white font-bold"
+            />
+          )
+        }
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2 mb-1">
+        <small className="table bg-night border-2 border-nightLight border-solid py-1 px-4 rounded-full">{formatFileSize(size)}</small>
+        <TrackAnalysis analysis={analysis} />
+        {hasEdits(edits) && (
+          <small className="table bg-accent text-night py-1 px-4 rounded-full">Edited</small>
+        )}
+        {chance !== undefined && (
+          <label className="flex items-center gap-1 text-xs" title="How often this variant is picked relative to the others">
+            Weight
+            <input
+              type="number"
+              min={0}
+              max={MAX_WEIGHT}
+              step={1}
+              value={weight}
+              onChange={(e) => onWeightChange(name, clampWeight(parseFloat(e.target.value)))}
+              className="w-12 outline-none px-1 bg-nightLight text-white"
+            />
+            <span className="text-accentLight">{Math.round(chance * 100)}%</span>
+          </label>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <AudioControls url={url} file={file} view={view} />
+        <div className="flex items-center gap-2">
+          {editable && (
+            <button
+              onClick={() => setIsEditing(!isEditing)}
+              className={`p-2 rounded flex items-center gap-1 ${
+                isEditing ? "bg-accent text-night" : "bg-nightLight text-white hover:bg-accent hover:text-night"
+              }`}
+            >
+              <ScissorsIcon className="h-5 w-5" />
+              <span className="hidden">Edit</span>
+            </button>
+          )}
+          <button
+            onClick={() => onRemove(name)}
+            className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1"
+          >
+            <TrashIcon className="h-5 w-5" />
+            <span className="hidden">Delete</span>
+          </button>
+        </div>
+      </div>
+
+      {editable && isEditing && (
+        <TrackEditor
+          file={file}
+          edits={edits}
+          onChange={(newEdits) => onEditsChange(name, newEdits)}
+        />
+      )}
+    </div>
+  );
+});
+
+const handleExportConfig = async (config, packInfo, naming, conversionSettings, setErrorMessage) => {
+  let configData;
+  try {
+    configData = await buildManifest(config, packInfo, naming, conversionSettings);
+  } catch {
+    setErrorMessage("pack.json could not be built. Try again, or reload the page if it keeps failing.");
+    return;
+  }
+
   const blob = new Blob([JSON.stringify(configData, null, 2)], { type: "application/json" });
   const url = URL.createObjectURL(blob);
 
@@ -228,44 +491,101 @@ const handleExportConfig = (config, packInfo) => {
 };
 
 
-const handleFileUpload = (fileName, acceptedFiles, config, setConfig, setErrorMessage) => {
-  const newConfig = { ...config };
-  let invalidFiles = false;
+const handleFileUpload = async (fileName, acceptedFiles, conversionSettings, setConfig, setErrorMessage, setConversions) => {
+  const format = getSlotFormat(fileName);
+  const failedFiles = [];
+
+  const addTrack = (file) => {
+    setConfig((prevConfig) => {
+      const fileExists = prevConfig[fileName]?.find((f) => f.name === file.name);
+      if (fileExists) return prevConfig;
+
+      const objectURL = URL.createObjectURL(file);
+      return {
+        ...prevConfig,
+        [fileName]: [
+          ...(prevConfig[fileName] || []),
+          {
+            name: file.name,
+            file,
+            url: objectURL,
+            size: file.size
+          },
+        ],
+      };
+    });
+  };
+
+  setErrorMessage("");
 
-  acceptedFiles.forEach((file) => {
-    if (!file.name.endsWith(".wav")) {
-      invalidFiles = true;
+  await Promise.all(acceptedFiles.map(async (file) => {
+    // Files already in the slot's format are kept as-is; WAVs only get re-encoded on request
+    if (hasFormat(file, format) && !(format === "wav" && conversionSettings.reencodeWav)) {
+      addTrack(file);
       return;
     }
 
-    const fileExists = newConfig[fileName]?.find((f) => f.name === file.name);
-    if (!fileExists) {
-      const objectURL = URL.createObjectURL(file);
-      newConfig[fileName] = [
-        ...(newConfig[fileName] || []),
-        {
-          name: file.name,
-          file,
-          url: objectURL,
-          size: file.size
-        },
-      ];
+    const id = `${fileName}/${file.name}/${Date.now()}`;
+    const updateConversion = (changes) => setConversions((prev) =>
+      prev.map((conversion) => conversion.id === id ? { ...conversion, ...changes } : conversion)
+    );
+
+    setConversions((prev) => [...prev, { id, slot: fileName, name: file.name, progress: 0, error: "" }]);
+
+    try {
+      const converted = await convertAudio(file, format, conversionSettings, (progress) => updateConversion({ progress }));
+      addTrack(converted);
+      setConversions((prev) => prev.filter((conversion) => conversion.id !== id));
+    } catch (error) {
+      failedFiles.push(file.name);
+      updateConversion({ error: error?.message || "Conversion failed." });
     }
-  });
+  }));
 
-  setConfig(newConfig);
-  
-  if (invalidFiles) {
-    setErrorMessage("Some files were incompatible and have been skipped.");
-  } else {
-    setErrorMessage(""); // Clear error message if all files are valid
+  if (failedFiles.length > 0) {
+    setErrorMessage(`Could not convert ${failedFiles.join(", ")} to .${format}. These files have been skipped.`);
   }
 };
 
-const Dropzone = React.memo(({ fileName, handleFileUpload }) => {
+const ConversionProgress = ({ conversions, onDismiss }) => (
+  <ul className="mt-2 text-sm">
+    {conversions.map(({ id, name, progress, error }) => (
+      <li key={id} className="bg-nightMid p-2 mt-1 rounded">
+        <div className="flex items-center justify-between gap-2">
+          <span className="truncate">{name}</span>
+          {error
+            ? (
+              <button
+                type="button"
+                onClick={() => onDismiss(id)}
+                className="bg-nightLight rounded py-1 px-2 text-xs"
+              >
+                Dismiss
+              </button>
+            )
+            : <span className="text-accentLight">{Math.round(progress * 100)}%</span>
+          }
+        </div>
+        {error
+          ? <p className="text-xs text-left border-l-red-600 border-l-4 pl-2 mt-1">{error}</p>
+          : (
+            <div className="relative w-full h-1 bg-gray-600 rounded mt-1">
+              <div
+                className="absolute top-0 left-0 h-full bg-accent rounded"
+                style={{ width: `${progress * 100}%` }}
+              />
+            </div>
+          )
+        }
+      </li>
+    ))}
+  </ul>
+);
+
+const Dropzone = React.memo(({ fileName, format, handleFileUpload }) => {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop: useCallback((acceptedFiles) => handleFileUpload(fileName, acceptedFiles), [fileName, handleFileUpload]),
-    accept: {"audio/wav": [".wav"]}, // Only allow .wav files
+    accept: UPLOAD_ACCEPT,
     multiple: true,
   });
 
@@ -277,7 +597,8 @@ const Dropzone = React.memo(({ fileName, handleFileUpload }) => {
       } bg-nightMid text-white text-center cursor-pointer hover:bg-nightLight`}
     >
       <input {...getInputProps()} />
-      <p>Add <b className="text-accent">.wav</b> File(s) <br/> or Drag & Drop</p>
+      <p>Add <b className="text-accent">Audio</b> File(s) <br/> or Drag & Drop</p>
+      <small className="text-xs">Other formats are converted to .{format}</small>
     </div>
   );
 });
@@ -285,127 +606,635 @@ const Dropzone = React.memo(({ fileName, handleFileUpload }) => {
 const App = () => {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const fileInputRef = useRef(null);
+  const mergeInputRef = useRef(null);
+  const folderInputRef = useRef(null);
 
   const handleUploadClick = () => {
     setIsModalOpen(true);
   };
 
-  const [config, setConfig] = useState(
-    itemsData.reduce((acc, item) => {
-      acc[item.fileName] = [];
-      return acc;
-    }, {})
-  );
+  const [config, setConfig] = useState(createEmptyConfig);
 
-  const [packInfo, setPackInfo] = useState({
-    name: "SDeckTools Pack",
-    description: "SFX Pack created in SDeckTools.com",
-    author: "SDeckTools.com",
-    version: "v1.0",
-    manifest_version: 2,
-    music: false,
-    ignore: [],
-    mappings: { ...config },
-  });
+  const [packInfo, setPackInfo] = useState(defaultPackInfo);
+  const catalog = getCatalog(packInfo.music);
+
+  const [catalogSearch, setCatalogSearch] = useState("");
+  const [slotFilter, setSlotFilter] = useState("all");
+  const [collapsedCategories, setCollapsedCategories] = useState(() => new Set());
+  const [visualization, setVisualization] = useState("waveform");
+  const catalogGroups = groupCatalog(filterCatalog(catalog, config, catalogSearch, slotFilter));
+
+  const toggleCategory = (id) => {
+    setCollapsedCategories((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const {
+    checkpoint,
+    undo,
+    redo,
+    reset: resetHistory,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+  } = usePackHistory(config, packInfo, setConfig, setPackInfo);
+
+  const { canInstall, install, updateAvailable, applyUpdate } = usePwa();
+
+  // Controller sounds play the pack being built, so navigating the app with a
+  // gamepad doubles as a preview of how it sounds on the Deck
+  const [controllerSounds, setControllerSounds] = useState(false);
+  const handleGamepadFeedback = useCallback((kind) => {
+    if (!controllerSounds) return;
+    // A sound that fails to decode is skipped; navigation carries on silently
+    playFeedback(kind, config, packInfo).catch(() => {});
+  }, [controllerSounds, config, packInfo]);
+  const { connected: gamepadConnected } = useGamepadNavigation({ onFeedback: handleGamepadFeedback });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Leave text fields to their native undo
+      if (e.target.closest?.("input[type=text], input[type=number], textarea")) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
 
   const [errorMessage, setErrorMessage] = useState("");
+  const [conversionSettings, setConversionSettings] = useState(defaultConversionSettings);
+  const [conversions, setConversions] = useState([]);
 
   const handleFileUploadCallback = useCallback(
-    (fileName, acceptedFiles) =>
-      handleFileUpload(fileName, acceptedFiles, config, setConfig, setErrorMessage),
-    [config]
+    (fileName, acceptedFiles) => {
+      checkpoint(`Upload to ${fileName}`);
+      return handleFileUpload(fileName, acceptedFiles, conversionSettings, setConfig, setErrorMessage, setConversions);
+    },
+    [conversionSettings, checkpoint]
   );
 
+  // The synthesizer or recorder is open under one slot at a time
+  const [slotTool, setSlotTool] = useState(null);
+
+  const freeName = (slot, name) => uniqueName(name, new Set(config[slot].map((track) => track.name)));
+
+  const handleGenerateTrack = async (slot, settings, presetId) => {
+    const name = freeName(slot, `${presetId}.wav`);
+    const file = await renderSynthFile(settings, name, conversionSettings);
+    checkpoint(`Generate ${name}`);
+    await handleFileUpload(slot, [file], conversionSettings, setConfig, setErrorMessage, setConversions);
+  };
+
+  const handleRecordTrack = async (slot, recording, edits) => {
+    const name = freeName(slot, "recording.wav");
+    const file = await recordingToWav(recording, name, edits, conversionSettings);
+    checkpoint(`Record ${name}`);
+    await handleFileUpload(slot, [file], conversionSettings, setConfig, setErrorMessage, setConversions);
+  };
+
+  // Seeds each empty slot with its stock sound as a starting point for effects
+  const handleStartFromStock = async () => {
+    const slots = catalog
+      .map((item) => item.fileName)
+      .filter((slot) => config[slot].length === 0 && !packInfo.ignore.includes(slot));
+    if (slots.length === 0) return;
+
+    setErrorMessage("");
+    try {
+      const blobs = await Promise.all(slots.map((slot) => fetchStockSound(slot)));
+      checkpoint("Start from stock");
+      setConfig((prevConfig) => {
+        const newConfig = { ...prevConfig };
+        slots.forEach((slot, index) => {
+          if (newConfig[slot].length > 0) return;
+          const file = new File([blobs[index]], slot, { type: MIME_TYPES[getSlotFormat(slot)] });
+          newConfig[slot] = [{ name: file.name, file, url: URL.createObjectURL(file), size: file.size }];
+        });
+        return newConfig;
+      });
+    } catch {
+      setErrorMessage("The stock sounds could not be loaded.");
+    }
+  };
+
+  const [isEffectsOpen, setIsEffectsOpen] = useState(false);
+
+  const handleApplyEffects = (results, replace) => {
+    checkpoint("Apply effects");
+    if (replace) {
+      setConfig((prevConfig) => {
+        const newConfig = { ...prevConfig };
+        Object.keys(results).forEach((slot) => {
+          newConfig[slot] = [];
+        });
+        return newConfig;
+      });
+    }
+    Object.entries(results).forEach(([slot, files]) => {
+      handleFileUpload(slot, files, conversionSettings, setConfig, setErrorMessage, setConversions);
+    });
+  };
+
+  const handleConversionSettingChange = (field, value) => {
+    setConversionSettings((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleDismissConversion = (id) => {
+    setConversions((prev) => prev.filter((conversion) => conversion.id !== id));
+  };
+
+  const [loudnessSettings, setLoudnessSettings] = useState({
+    targetLufs: -18,
+    matchStock: false,
+    preventClipping: true,
+  });
+  const [isNormalizing, setIsNormalizing] = useState(false);
+  const analysisRequests = useRef(new WeakMap());
+
+  const handleLoudnessSettingChange = (field, value) => {
+    setLoudnessSettings((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // (Re)analyze every track whose audio or edits changed since it was last measured.
+  // Debounced so dragging a trim handle or gain slider doesn't re-measure on every frame.
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      Object.entries(config).forEach(([fileName, tracks]) => {
+        tracks.forEach(({ file, edits = defaultEdits, analyzedEdits }) => {
+          if (analyzedEdits === edits || analysisRequests.current.get(file) === edits) return;
+          analysisRequests.current.set(file, edits);
+
+          analyzeFile(file, edits)
+            .catch(() => null)
+            .then((analysis) => {
+              setConfig((prevConfig) => ({
+                ...prevConfig,
+                [fileName]: (prevConfig[fileName] || []).map((track) =>
+                  track.file === file && (track.edits || defaultEdits) === edits
+                    ? { ...track, analysis, analyzedEdits: edits }
+                    : track
+                ),
+              }));
+            });
+        });
+      });
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [config]);
+
+  const handleNormalizePack = async () => {
+    setIsNormalizing(true);
+    const { targetLufs, matchStock, preventClipping } = loudnessSettings;
+    const gains = new Map();
+    const unmatchedSlots = [];
+
+    for (const fileName in config) {
+      // Gain can only be rendered into WAV slots
+      if (config[fileName].length === 0 || getSlotFormat(fileName) !== "wav") continue;
+
+      let target = targetLufs;
+      if (matchStock) {
+        try {
+          const stock = await analyzeStockSound(fileName);
+          if (Number.isFinite(stock.lufs)) {
+            target = stock.lufs;
+          } else {
+            unmatchedSlots.push(fileName);
+          }
+        } catch {
+          unmatchedSlots.push(fileName);
+        }
+      }
+
+      for (const { file, edits = defaultEdits, analysis, analyzedEdits } of config[fileName]) {
+        try {
+          const current = analysis && analyzedEdits === edits ? analysis : await analyzeFile(file, edits);
+          const delta = normalizationGain(current, target, preventClipping ? -1 : null);
+          gains.set(file, clampGain(edits.gain + delta));
+        } catch {
+          // Undecodable tracks are left untouched
+        }
+      }
+    }
+
+    checkpoint("Normalize pack");
+    setConfig((prevConfig) => {
+      const newConfig = {};
+      for (const fileName in prevConfig) {
+        newConfig[fileName] = prevConfig[fileName].map((track) =>
+          gains.has(track.file)
+            ? { ...track, edits: { ...(track.edits || defaultEdits), gain: gains.get(track.file) } }
+            : track
+        );
+      }
+      return newConfig;
+    });
+
+    if (unmatchedSlots.length > 0) {
+      setErrorMessage(`No stock loudness for ${unmatchedSlots.join(", ")}. The target loudness was used instead.`);
+    }
+    setIsNormalizing(false);
+  };
+
   const handleRemoveAllFiles = (trackName) => {
+    checkpoint(`Remove all files from ${trackName}`);
     const newConfig = { ...config };
     newConfig[trackName] = [];
     setConfig(newConfig);
   }
 
+  // Object URLs are released by the history once no undo step needs them
   const handleRemoveFile = (fileName, trackName) => {
+    checkpoint(`Remove ${trackName}`);
     const newConfig = { ...config };
-    newConfig[fileName] = newConfig[fileName].filter((track) => {
-      URL.revokeObjectURL(track.url);
-      return track.name !== trackName;
-    });
+    newConfig[fileName] = newConfig[fileName].filter((track) => track.name !== trackName);
     setConfig(newConfig);
   };
 
+  // The slot's extension is added if the new name leaves it out
+  const handleRenameTrack = (slot, oldName, newName) => {
+    const trimmed = newName.trim();
+    if (!trimmed || trimmed === oldName) return;
+
+    if (/[\\/]/.test(trimmed)) {
+      setErrorMessage("File names can't contain slashes.");
+      return;
+    }
+
+    const format = getSlotFormat(slot);
+    const name = trimmed.toLowerCase().endsWith(`.${format}`) ? trimmed : `${trimmed}.${format}`;
+    if (config[slot].some((track) => track.name === name)) {
+      setErrorMessage(`${slot} already has a file named ${name}.`);
+      return;
+    }
+
+    checkpoint(`Rename ${oldName}`);
+    setConfig((prevConfig) => ({
+      ...prevConfig,
+      [slot]: prevConfig[slot].map((track) => (track.name === oldName ? { ...track, name } : track)),
+    }));
+  };
+
+  // Track drags carry their source slot and name; the drop target supplies the
+  // slot and the index to insert at. Export follows the order in `config`.
+  const handleTrackDrop = (e, slot, index) => {
+    const from = JSON.parse(e.dataTransfer.getData(TRACK_DRAG_TYPE));
+    const copy = isCopyDrag(e);
+
+    if (!canDropTrack(from.slot, slot)) {
+      setErrorMessage(`${from.name} can't be moved to ${slot}, which expects .${getSlotFormat(slot)} files.`);
+      return;
+    }
+
+    const movedConfig = moveTrack(config, from, { slot, index }, copy);
+    if (movedConfig === config) return;
+
+    checkpoint(copy ? `Copy ${from.name} to ${slot}` : `Move ${from.name}`);
+    setConfig(movedConfig);
+  };
+
+  const handleEditsChange = (fileName, trackName, edits) => {
+    checkpoint(`Edit ${trackName}`);
+    setConfig((prevConfig) => ({
+      ...prevConfig,
+      [fileName]: prevConfig[fileName].map((track) =>
+        track.name === trackName ? { ...track, edits } : track
+      ),
+    }));
+  };
+
+  const [validationReport, setValidationReport] = useState(null);
+  const [isValidating, setIsValidating] = useState(false);
+
+  const [exportNaming, setExportNaming] = useState("keep");
+  const [exportProfile, setExportProfile] = useState("audioloader");
+  const profiles = EXPORT_PROFILES.filter((profile) => !(packInfo.music && profile.sfxOnly));
+  const activeProfile = profiles.find((profile) => profile.value === exportProfile) || profiles[0];
+
   const handleExport = async () => {
-    const zip = new JSZip();
+    setIsValidating(true);
+    try {
+      const plan = await planExport(config, packInfo, exportNaming, conversionSettings);
+      const report = await validatePack(config, packInfo, plan);
+      if (report.errors.length === 0 && report.warnings.length === 0) {
+        exportZip(plan);
+      } else {
+        setValidationReport(report);
+      }
+    } catch {
+      setErrorMessage("The pack could not be prepared for export. Try again, or reload the page if it keeps failing.");
+    } finally {
+      setIsValidating(false);
+    }
+  };
 
-    // Generate updated pack.json with packInfo and current mappings
-    const exportMappings = {};
-    for (const fileName in config) {
-      exportMappings[fileName] = config[fileName].map((f) => f.name);
+  const handleExportAnyway = async () => {
+    setValidationReport(null);
+    try {
+      exportZip(await planExport(config, packInfo, exportNaming, conversionSettings));
+    } catch {
+      setErrorMessage("The pack could not be prepared for export. Try again, or reload the page if it keeps failing.");
     }
+  };
 
-    const updatedPackJson = {
-      ...packInfo,
-      mappings: exportMappings,
-    };
-    zip.file("pack.json", JSON.stringify(updatedPackJson, null, 2));
+  // A previous release to compare against. Importing a ZIP makes it the
+  // baseline too, but only a release picked as the baseline adds a changelog
+  // without being asked, so a plain import and export leaves the pack as it was.
+  const [baseline, setBaseline] = useState(null);
+  const [includeChangelog, setIncludeChangelog] = useState(false);
+  const [isDiffOpen, setIsDiffOpen] = useState(false);
 
-    // Add all uploaded files to the ZIP
-    for (const fileName in config) {
-      for (const { name, file } of config[fileName]) {
-        zip.file(name, file);
+  const handleBaselineUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const result = await readPackZip(file);
+      if (!result.packInfo) {
+        setErrorMessage(`${file.name} has no pack.json to compare against.`);
+        return;
       }
+      setBaseline(await snapshotImport(result));
+      setIncludeChangelog(true);
+      setErrorMessage("");
+    } catch {
+      setErrorMessage(`${file.name} could not be opened. Make sure it is a valid ZIP file.`);
     }
+  };
 
-    zip.generateAsync({ type: "blob" }).then((content) => {
-      saveAs(content, "audio_pack.zip");
-    });
+  const exportZip = async (plan) => {
+    let zip;
+    try {
+      zip = await buildPackZip(config, packInfo, {
+        profile: activeProfile.value,
+        plan,
+        baseline: includeChangelog ? baseline : null,
+      });
+    } catch (error) {
+      setErrorMessage(error.message);
+      return;
+    }
+
+    if (plan.failedEdits.length > 0) {
+      const names = plan.failedEdits.map(({ track }) => track).join(", ");
+      setErrorMessage(`Could not apply edits to ${names}. The original files were exported instead.`);
+    }
+    saveAs(zip.data, zip.fileName);
   };
 
+  const [importResult, setImportResult] = useState(null);
+
   const handleZipUpload = async (event) => {
     const file = event.target.files[0];
+    event.target.value = ""; // Allow picking the same file again
     if (!file) return;
 
-    const zip = new JSZip();
-    const loadedZip = await zip.loadAsync(file);
+    try {
+      setImportResult(await readPackZip(file));
+    } catch {
+      setErrorMessage(`${file.name} could not be opened. Make sure it is a valid ZIP file.`);
+    }
+  };
 
-    // Parse pack.json
-    const packJsonFile = loadedZip.file("pack.json");
-    if (!packJsonFile) {
-      alert("Invalid ZIP file: pack.json not found.");
-      return;
+  const [mergeResult, setMergeResult] = useState(null);
+
+  const handleMergeZipUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      setMergeResult(await readPackZip(file));
+    } catch {
+      setErrorMessage(`${file.name} could not be opened. Make sure it is a valid ZIP file.`);
     }
+  };
 
-    const packJsonContent = await packJsonFile.async("text");
-    const parsedPack = JSON.parse(packJsonContent);
+  const confirmMerge = (selections, strategy) => {
+    checkpoint("Merge ZIP");
+    setConfig((prevConfig) => mergeTracks(prevConfig, selections, strategy, (blob) => URL.createObjectURL(blob)));
+    setMergeResult(null);
+  };
 
-    const newConfig = {};
-    const objectURLs = [];
+  // Bulk folder drop: files dropped anywhere outside a slot's Dropzone (which
+  // handles its own drops) are matched to slots by name and reviewed first
+  const [folderResult, setFolderResult] = useState(null);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
 
-    // Update config with tracks from ZIP
-    for (const fileName in parsedPack.mappings) {
-      const tracks = parsedPack.mappings[fileName];
-      newConfig[fileName] = [];
+  const isFileDrag = (e) => e.dataTransfer.types.includes("Files");
 
-      for (const trackName of tracks) {
-        const trackFile = loadedZip.file(trackName);
-        if (!trackFile) continue;
+  const handlePageDragOver = (e) => {
+    if (!isFileDrag(e) || e.defaultPrevented) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setIsDraggingFiles(true);
+  };
 
-        const blob = await trackFile.async("blob");
-        const objectURL = URL.createObjectURL(blob);
+  const handlePageDragLeave = (e) => {
+    // Only when the pointer leaves the window, not when it crosses child elements
+    if (!e.relatedTarget) setIsDraggingFiles(false);
+  };
 
-        objectURLs.push(objectURL); // Keep track of objectURLs for cleanup
-        newConfig[fileName].push({
-          name: trackName,
-          file: blob,
-          url: objectURL,
-          size: blob.size,
-        });
-      }
+  const handlePageDrop = async (e) => {
+    setIsDraggingFiles(false);
+    if (!isFileDrag(e) || e.defaultPrevented) return;
+    e.preventDefault();
+    try {
+      setFolderResult(proposeAssignments(await readDroppedFiles(e.dataTransfer), catalog));
+    } catch {
+      setErrorMessage("The dropped folder could not be read.");
     }
+  };
 
-    // Revoke existing URLs in the current project
-    Object.values(config).flat().forEach((track) => URL.revokeObjectURL(track.url));
+  const handleFolderPick = (event) => {
+    const files = readPickedFiles(event.target.files);
+    event.target.value = "";
+    if (files.length > 0) setFolderResult(proposeAssignments(files, catalog));
+  };
+
+  const confirmFolderAssignment = (assignments) => {
+    checkpoint("Add folder");
+    setFolderResult(null);
+    Object.entries(assignments).forEach(([fileName, files]) => {
+      handleFileUpload(fileName, files, conversionSettings, setConfig, setErrorMessage, setConversions);
+    });
+  };
+
+  const confirmZipImport = (assignments) => {
+    const { config: newConfig, packInfo: importedPackInfo } = configFromImport(importResult, assignments);
 
     // Update state
+    checkpoint("Import ZIP");
+    setConfig(newConfig);
+    if (importedPackInfo) {
+      setPackInfo(importedPackInfo);
+      // If the files can't be read for hashing, the import still succeeds,
+      // just without a baseline to compare against
+      setIncludeChangelog(false);
+      snapshotImport(importResult)
+        .then(setBaseline)
+        .catch(() => setBaseline(null));
+    }
+    setImportResult(null);
+    setErrorMessage("");
+  };
+
+  const [projectId, setProjectId] = useState(createProjectId);
+  const [restoreCandidate, setRestoreCandidate] = useState(null);
+  const [isRestoreResolved, setIsRestoreResolved] = useState(false);
+  const [isProjectsOpen, setIsProjectsOpen] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [saveStatus, setSaveStatus] = useState("");
+
+  const [isShareOpen, setIsShareOpen] = useState(false);
+  const [sharedProject, setSharedProject] = useState(null);
+
+  // Open a shared link if the page was loaded from one, otherwise offer to
+  // restore whatever was open when the tab was last closed
+  useEffect(() => {
+    const offerRestore = () => {
+      const lastProjectId = getLastProjectId();
+      if (!lastProjectId) {
+        setIsRestoreResolved(true);
+        return;
+      }
+
+      loadProject(lastProjectId)
+        .then((project) => {
+          if (project) {
+            setRestoreCandidate(project);
+          } else {
+            setIsRestoreResolved(true);
+          }
+        })
+        .catch(() => setIsRestoreResolved(true));
+    };
+
+    readShareLink()
+      .then((project) => {
+        if (project) {
+          setSharedProject(project);
+          setIsRestoreResolved(true);
+        } else {
+          offerRestore();
+        }
+      })
+      .catch((error) => {
+        clearShareLink();
+        setErrorMessage(error.message);
+        offerRestore();
+      });
+  }, []);
+
+  // Autosave, skipping untouched projects so declined restores don't pile up empty entries
+  useEffect(() => {
+    if (!isRestoreResolved) return;
+    const isUntouched = packInfo === defaultPackInfo && Object.values(config).every((tracks) => tracks.length === 0);
+    if (isUntouched) return;
+
+    const timeout = setTimeout(() => {
+      saveProject({ id: projectId, packInfo, config })
+        .then(() => {
+          setLastProjectId(projectId);
+          setSaveStatus(`Saved ${new Date().toLocaleTimeString()}`);
+        })
+        .catch(() => setSaveStatus("Autosave failed"));
+    }, 1000);
+
+    return () => clearTimeout(timeout);
+  }, [config, packInfo, projectId, isRestoreResolved]);
+
+  const replaceProject = (id, newConfig, newPackInfo) => {
+    Object.values(config).flat().forEach((track) => URL.revokeObjectURL(track.url));
+    resetHistory();
     setConfig(newConfig);
-    setPackInfo(parsedPack);
+    setPackInfo(newPackInfo);
+    setProjectId(id);
+    setSaveStatus("");
+    setBaseline(null);
+  };
+
+  const openProject = (project) => {
+    replaceProject(project.id, deserializeConfig(project.config, createEmptyConfig()), normalizePackInfo(project.packInfo));
+    setLastProjectId(project.id);
+  };
+
+  const confirmRestore = () => {
+    openProject(restoreCandidate);
+    setRestoreCandidate(null);
+    setIsRestoreResolved(true);
+  };
+
+  const declineRestore = () => {
+    setRestoreCandidate(null);
+    setIsRestoreResolved(true);
+  };
+
+  const refreshProjects = () => listProjects().then(setProjects).catch(() => setProjects([]));
+
+  const handleOpenProjects = () => {
+    refreshProjects();
+    setIsProjectsOpen(true);
+  };
+
+  const handleOpenProject = async (id) => {
+    const project = await loadProject(id);
+    if (project) {
+      openProject(project);
+    }
+    setIsProjectsOpen(false);
+  };
+
+  const handleOpenProjectFile = async (file) => {
+    setIsProjectsOpen(false);
+    try {
+      setSharedProject(await readProjectFile(file));
+    } catch (error) {
+      setErrorMessage(error.message);
+    }
+  };
+
+  // Errors propagate to SharedProjectPrompt, which shows them
+  const confirmSharedProject = async (projectFile) => {
+    const newConfig = await loadProjectAudio(sharedProject, createEmptyConfig(), projectFile);
+    replaceProject(createProjectId(), newConfig, sharedProject.packInfo);
+    setSharedProject(null);
+    clearShareLink();
+  };
+
+  const cancelSharedProject = () => {
+    setSharedProject(null);
+    clearShareLink();
+  };
+
+  const handleNewProject = () => {
+    replaceProject(createProjectId(), createEmptyConfig(), defaultPackInfo);
+    setIsProjectsOpen(false);
+  };
+
+  const handleDeleteProject = async (id) => {
+    await deleteProject(id);
+    if (id === projectId) {
+      replaceProject(createProjectId(), createEmptyConfig(), defaultPackInfo);
+    }
+    refreshProjects();
   };
 
   const confirmImport = (event) => {
@@ -418,19 +1247,167 @@ const App = () => {
   }
 
   const handlePackInfoChange = useCallback((field, value) => {
+    checkpoint(`Edit ${field}`);
     setPackInfo((prev) => ({ ...prev, [field]: value }));
-  }, []);
+  }, [checkpoint]);
+
+  const handleWeightChange = (slot, trackName, weight) => {
+    checkpoint(`Weight ${trackName}`);
+    setConfig((prevConfig) => ({
+      ...prevConfig,
+      [slot]: prevConfig[slot].map((track) => (track.name === trackName ? { ...track, weight } : track)),
+    }));
+  };
+
+  const handleVariantSettingChange = (slot, field, value) => {
+    checkpoint(`Edit ${slot} variants`);
+    setPackInfo((prev) => ({
+      ...prev,
+      variants: { ...prev.variants, [slot]: { ...getVariantSettings(prev, slot), [field]: value } },
+    }));
+  };
+
+  const handleIgnoreChange = (fileName, ignored) => {
+    checkpoint(`Ignore ${fileName}`);
+    setPackInfo((prev) => ({
+      ...prev,
+      ignore: ignored
+        ? [...prev.ignore.filter((name) => name !== fileName), fileName]
+        : prev.ignore.filter((name) => name !== fileName),
+    }));
+  };
 
   return (
-    <div className="min-h-screen bg-night text-white font-sans p-4 mx-auto block">
+    <div
+      className="min-h-screen bg-night text-white font-sans p-4 mx-auto block"
+      onDragOver={handlePageDragOver}
+      onDragLeave={handlePageDragLeave}
+      onDrop={handlePageDrop}
+    >
+      {isDraggingFiles && (
+        <div className="fixed inset-x-0 top-0 z-50 p-4 bg-accent text-night text-center font-semibold pointer-events-none">
+          Drop files or a folder to assign them to slots by name
+        </div>
+      )}
+
+      {updateAvailable && (
+        <div className="fixed bottom-4 right-4 z-50 bg-nightMid border-2 border-accent rounded-md p-4 flex items-center gap-4 shadow-lg">
+          <span className="text-sm text-left">
+            A new version of SDeckTools is available.
+            <small className="block text-xs text-accentLight">Your project is saved and can be reopened after reloading.</small>
+          </span>
+          <button
+            type="button"
+            onClick={applyUpdate}
+            className="bg-accent text-night p-2 rounded flex items-center gap-1 hover:bg-accent/90"
+          >
+            <ArrowPathIcon className="h-5 w-5" />
+            Reload
+          </button>
+        </div>
+      )}
+
+      {isEffectsOpen && (
+        <BatchEffectsPanel
+          config={config}
+          catalog={catalog}
+          conversionSettings={conversionSettings}
+          onApply={handleApplyEffects}
+          onClose={() => setIsEffectsOpen(false)}
+        />
+      )}
+
+      {isDiffOpen && baseline && (
+        <PackDiffDialog
+          baseline={baseline}
+          config={config}
+          packInfo={packInfo}
+          naming={exportNaming}
+          output={conversionSettings}
+          onUseVersion={(version) => handlePackInfoChange("version", version)}
+          onClose={() => setIsDiffOpen(false)}
+        />
+      )}
+
+      {isShareOpen && (
+        <ShareDialog
+          config={config}
+          packInfo={packInfo}
+          onClose={() => setIsShareOpen(false)}
+        />
+      )}
+
+      {sharedProject && (
+        <SharedProjectPrompt
+          project={sharedProject}
+          onConfirm={confirmSharedProject}
+          onCancel={cancelSharedProject}
+        />
+      )}
+
+      {folderResult && (
+        <FolderAssignment
+          result={folderResult}
+          catalog={catalog}
+          onConfirm={confirmFolderAssignment}
+          onCancel={() => setFolderResult(null)}
+        />
+      )}
+
       {/* Confirmation Modal */}
       <ConfirmationModal
         isOpen={isModalOpen}
         onClose={cancelImport}
         onConfirm={confirmImport}
-        message="Importing a new ZIP file will replace your current project. Are you sure you want to continue?"
+        message="Importing a new ZIP file will replace your current project (use Merge to combine packs instead). Are you sure you want to continue?"
+      />
+
+      <ConfirmationModal
+        isOpen={!!restoreCandidate}
+        onClose={declineRestore}
+        onConfirm={confirmRestore}
+        message={`Restore "${restoreCandidate?.name || "Untitled Pack"}" from your last session?`}
       />
 
+      {importResult && (
+        <ImportSummary
+          result={importResult}
+          catalog={getCatalog(importResult.packInfo ? importResult.packInfo.music : packInfo.music)}
+          onConfirm={confirmZipImport}
+          onCancel={() => setImportResult(null)}
+        />
+      )}
+
+      {mergeResult && (
+        <MergeImport
+          result={mergeResult}
+          config={config}
+          catalog={catalog}
+          onConfirm={confirmMerge}
+          onCancel={() => setMergeResult(null)}
+        />
+      )}
+
+      {isProjectsOpen && (
+        <ProjectsPanel
+          projects={projects}
+          currentId={projectId}
+          onOpen={handleOpenProject}
+          onOpenFile={handleOpenProjectFile}
+          onDelete={handleDeleteProject}
+          onNew={handleNewProject}
+          onClose={() => setIsProjectsOpen(false)}
+        />
+      )}
+
+      {validationReport && (
+        <ValidationReport
+          report={validationReport}
+          onClose={() => setValidationReport(null)}
+          onExport={handleExportAnyway}
+        />
+      )}
+
       <div className="md:flex items-center justify-between mb-8">
         <div>
           <h1 className="text-3xl font-bold text-left mb-6">
@@ -440,7 +1417,55 @@ const App = () => {
           <h3 className="text-sm border-l-accent border-l-4 pl-2">For SteamOS & Big Picture</h3>
         </div>
 
-        <div className="md:mb-14 mt-8 md:mt-auto flex justify-center">
+        <div className="md:mb-14 mt-8 md:mt-auto flex justify-center items-center gap-2">
+          {saveStatus && <small className="text-xs text-accentLight">{saveStatus}</small>}
+          {canInstall && (
+            <button
+              type="button"
+              title="Install SDeckTools to use it without a network connection"
+              className="bg-nightLight text-white p-3 rounded w-full md:w-auto hover:bg-accent hover:text-night cursor-pointer flex items-center justify-center gap-2"
+              onClick={install}
+            >
+              <ComputerDesktopIcon className="h-5 w-5" />
+              Install app
+            </button>
+          )}
+          <button
+            type="button"
+            disabled={!canUndo}
+            title={canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+            className="bg-nightLight text-white p-3 rounded hover:bg-accent hover:text-night disabled:opacity-50 disabled:hover:bg-nightLight disabled:hover:text-white flex items-center"
+            onClick={undo}
+          >
+            <ArrowUturnLeftIcon className="h-5 w-5" />
+            <span className="hidden">Undo</span>
+          </button>
+          <button
+            type="button"
+            disabled={!canRedo}
+            title={canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+            className="bg-nightLight text-white p-3 rounded hover:bg-accent hover:text-night disabled:opacity-50 disabled:hover:bg-nightLight disabled:hover:text-white flex items-center"
+            onClick={redo}
+          >
+            <ArrowUturnRightIcon className="h-5 w-5" />
+            <span className="hidden">Redo</span>
+          </button>
+          <button
+            type="button"
+            className="bg-nightLight text-white p-3 rounded w-full md:w-auto hover:bg-accent hover:text-night cursor-pointer flex items-center justify-center gap-2"
+            onClick={handleOpenProjects}
+          >
+            <RectangleStackIcon className="h-5 w-5" />
+            Projects
+          </button>
+          <button
+            type="button"
+            className="bg-nightLight text-white p-3 rounded w-full md:w-auto hover:bg-accent hover:text-night cursor-pointer flex items-center justify-center gap-2"
+            onClick={() => setIsShareOpen(true)}
+          >
+            <ShareIcon className="h-5 w-5" />
+            Share
+          </button>
           <button
             type="button"
             className="bg-accent text-night p-3 rounded w-full md:w-auto hover:bg-accent/90 cursor-pointer flex items-center justify-center gap-2"
@@ -449,6 +1474,39 @@ const App = () => {
             <ArrowUpTrayIcon className="h-5 w-5" />
             Import <b className="bg-accentMid inline-block font-bold px-2 rounded-sm">zip</b>
           </button>
+          <button
+            type="button"
+            className="bg-nightLight text-white p-3 rounded w-full md:w-auto hover:bg-accent hover:text-night cursor-pointer flex items-center justify-center gap-2"
+            onClick={() => mergeInputRef.current.click()}
+          >
+            <ArrowsPointingInIcon className="h-5 w-5" />
+            Merge <b className="bg-nightMid inline-block font-bold px-2 rounded-sm">zip</b>
+          </button>
+          <button
+            type="button"
+            className="bg-nightLight text-white p-3 rounded w-full md:w-auto hover:bg-accent hover:text-night cursor-pointer flex items-center justify-center gap-2"
+            onClick={() => folderInputRef.current.click()}
+          >
+            <FolderPlusIcon className="h-5 w-5" />
+            Add folder
+          </button>
+          <input
+            id="folder-upload"
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            multiple
+            className="hidden"
+            onChange={handleFolderPick}
+          />
+          <input
+            id="zip-merge"
+            ref={mergeInputRef}
+            type="file"
+            accept=".zip"
+            className="hidden"
+            onChange={handleMergeZipUpload}
+          />
           <input
             id="zip-upload"
             ref = { fileInputRef }
@@ -463,7 +1521,7 @@ const App = () => {
 
       <div className="md:flex w-full mt-4 mx-auto items-start justify-center">
         {/* Pack Info Form */}
-        <div className="mb-8 rounded-md md:w-[50%] md:max-w-md md:sticky top-16">
+        <div className="mb-8 rounded-md md:w-[50%] md:max-w-md md:sticky top-16" data-gamepad-section>
           <h3 className="text-xl font-semibold mb-4">Pack.json Settings</h3>
 
           <div className="mb-4">
@@ -507,22 +1565,282 @@ const App = () => {
               value={packInfo.version}
               onChange={(e) => handlePackInfoChange("version", e.target.value)}
             />
+            {!isValidVersion(packInfo.version) && (
+              <small className="block text-xs border-l-red-600 border-l-4 pl-2 mt-1">
+                Use a version like v1.0 or 1.2.3
+              </small>
+            )}
           </div>
 
-          <div className="flex items-center justify-end">
+          <div className="mb-4 text-sm">
+            {baseline ? (
+              <>
+                <div className="flex items-center justify-between gap-2">
+                  <span className="truncate">Previous release: <b>{baseline.packInfo.version}</b></span>
+                  <span className="flex gap-2 shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => setIsDiffOpen(true)}
+                      className="bg-nightLight py-1 px-2 rounded hover:bg-accent hover:text-night text-xs"
+                    >
+                      View Changes
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setBaseline(null)}
+                      className="bg-nightLight py-1 px-2 rounded hover:bg-accent hover:text-night text-xs"
+                    >
+                      Clear
+                    </button>
+                  </span>
+                </div>
+                <div className="mt-2 flex items-center gap-2">
+                  <input
+                    id="include-changelog"
+                    type="checkbox"
+                    checked={includeChangelog}
+                    onChange={(e) => setIncludeChangelog(e.target.checked)}
+                  />
+                  <label htmlFor="include-changelog" className="text-sm">Add {CHANGELOG_FILE} to the ZIP</label>
+                </div>
+              </>
+            ) : (
+              <label className="cursor-pointer text-xs underline hover:text-accent">
+                Compare with a previous release ZIP
+                <input type="file" accept=".zip" className="hidden" onChange={handleBaselineUpload} />
+              </label>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="pack-manifest-version" className="block text-sm font-semibold text-accent">Manifest Version</label>
+            <select
+              id="pack-manifest-version"
+              className="w-full outline-none p-2 bg-nightLight text-white mt-1"
+              value={packInfo.manifest_version}
+              onChange={(e) => handlePackInfoChange("manifest_version", Number(e.target.value))}
+            >
+              {MANIFEST_VERSIONS.map((version) => (
+                <option key={version} value={version}>{version}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mb-4 flex items-center gap-2">
+            <input
+              id="pack-music"
+              type="checkbox"
+              checked={packInfo.music}
+              onChange={(e) => handlePackInfoChange("music", e.target.checked)}
+            />
+            <label htmlFor="pack-music" className="text-sm">Music pack</label>
+          </div>
+
+          {!packInfo.music && packInfo.ignore.length > 0 && (
+            <p className="mb-4 text-sm text-left">
+              Muted: <span className="text-accent">{packInfo.ignore.join(", ")}</span>
+            </p>
+          )}
+
+          <h3 className="text-xl font-semibold mb-4 mt-8">Conversion Settings</h3>
+
+          <div className="mb-4 flex gap-4">
+            <div className="flex-1">
+              <label htmlFor="conversion-sample-rate" className="block text-sm font-semibold text-accent">Sample Rate</label>
+              <select
+                id="conversion-sample-rate"
+                className="w-full outline-none p-2 bg-nightLight text-white mt-1"
+                value={conversionSettings.sampleRate}
+                onChange={(e) => handleConversionSettingChange("sampleRate", Number(e.target.value))}
+              >
+                {SAMPLE_RATES.map((rate) => (
+                  <option key={rate} value={rate}>{rate} Hz</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex-1">
+              <label htmlFor="conversion-bit-depth" className="block text-sm font-semibold text-accent">Bit Depth</label>
+              <select
+                id="conversion-bit-depth"
+                className="w-full outline-none p-2 bg-nightLight text-white mt-1"
+                value={conversionSettings.bitDepth}
+                onChange={(e) => handleConversionSettingChange("bitDepth", Number(e.target.value))}
+              >
+                {BIT_DEPTHS.map((depth) => (
+                  <option key={depth} value={depth}>{depth}-bit</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex-1">
+              <label htmlFor="conversion-channels" className="block text-sm font-semibold text-accent">Channels</label>
+              <select
+                id="conversion-channels"
+                className="w-full outline-none p-2 bg-nightLight text-white mt-1"
+                value={conversionSettings.channels}
+                onChange={(e) => handleConversionSettingChange("channels", Number(e.target.value))}
+              >
+                {CHANNEL_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="mb-8 flex items-center gap-2">
+            <input
+              id="conversion-reencode-wav"
+              type="checkbox"
+              checked={conversionSettings.reencodeWav}
+              onChange={(e) => handleConversionSettingChange("reencodeWav", e.target.checked)}
+            />
+            <label htmlFor="conversion-reencode-wav" className="text-sm">Re-encode uploaded .wav files too</label>
+          </div>
+
+          {!packInfo.music && (
+            <AuditionPanel config={config} packInfo={packInfo} catalog={catalog} />
+          )}
+
+          {!packInfo.music && (
+            <>
+              <h3 className="text-xl font-semibold mb-4">Start from Stock</h3>
+              <p className="text-sm mb-4">
+                Fill the empty slots with Steam&apos;s own sounds, then run them through effects for a themed take on the defaults.
+              </p>
+              <div className="mb-8 flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={handleStartFromStock}
+                  className="bg-nightLight text-white p-3 rounded hover:bg-accent hover:text-night flex items-center gap-2"
+                >
+                  <SpeakerWaveIcon className="h-5 w-5" />
+                  Use Stock Sounds
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setIsEffectsOpen(true)}
+                  className="bg-nightLight text-white p-3 rounded hover:bg-accent hover:text-night flex items-center gap-2"
+                >
+                  <SparklesIcon className="h-5 w-5" />
+                  Batch Effects
+                </button>
+              </div>
+            </>
+          )}
+
+          <h3 className="text-xl font-semibold mb-4">Loudness</h3>
+
+          <div className="mb-4">
+            <label htmlFor="loudness-target" className="block text-sm font-semibold text-accent">Target Loudness (LUFS)</label>
+            <input
+              id="loudness-target"
+              type="number"
+              step="0.5"
+              max="0"
+              className="w-full outline-none focus:border-b-2 focus:border-accent px-0 py-2 bg-transparent text-white mt-1"
+              value={loudnessSettings.targetLufs}
+              disabled={loudnessSettings.matchStock}
+              onChange={(e) => handleLoudnessSettingChange("targetLufs", parseFloat(e.target.value) || 0)}
+            />
+          </div>
+
+          <div className="mb-2 flex items-center gap-2">
+            <input
+              id="loudness-match-stock"
+              type="checkbox"
+              checked={loudnessSettings.matchStock}
+              onChange={(e) => handleLoudnessSettingChange("matchStock", e.target.checked)}
+            />
+            <label htmlFor="loudness-match-stock" className="text-sm">Match each slot to its stock sound</label>
+          </div>
+
+          <div className="mb-4 flex items-center gap-2">
+            <input
+              id="loudness-prevent-clipping"
+              type="checkbox"
+              checked={loudnessSettings.preventClipping}
+              onChange={(e) => handleLoudnessSettingChange("preventClipping", e.target.checked)}
+            />
+            <label htmlFor="loudness-prevent-clipping" className="text-sm">Keep peaks below -1 dBFS</label>
+          </div>
+
+          <div className="mb-8 flex justify-end">
             <button
-              onClick={() => handleExportConfig(config, packInfo)}
-              className="bg-nightLight hover:border-accent text-white p-3 rounded cursor-pointer flex items-center gap-2"
+              type="button"
+              onClick={handleNormalizePack}
+              disabled={isNormalizing}
+              className="bg-nightLight text-white p-3 rounded hover:bg-accent hover:text-night disabled:opacity-50 flex items-center gap-2"
             >
-              <ArrowDownTrayIcon className="h-5 w-5" />
-              Export <b className="bg-nightMid inline-block font-bold px-2 rounded-sm">pack.json</b>
+              <AdjustmentsVerticalIcon className="h-5 w-5" />
+              {isNormalizing ? "Normalizing…" : "Normalize Pack"}
             </button>
+          </div>
+
+          {gamepadConnected && (
+            <>
+              <h3 className="text-xl font-semibold mb-4">Controller</h3>
+              <div className="mb-8 flex items-center gap-2">
+                <input
+                  id="controller-sounds"
+                  type="checkbox"
+                  checked={controllerSounds}
+                  onChange={(e) => setControllerSounds(e.target.checked)}
+                />
+                <label htmlFor="controller-sounds" className="text-sm">Play this pack&apos;s sounds while navigating</label>
+              </div>
+            </>
+          )}
+
+          <div className="mb-4">
+            <label htmlFor="export-profile" className="block text-sm font-semibold text-accent">Export Profile</label>
+            <select
+              id="export-profile"
+              className="w-full outline-none p-2 bg-nightLight text-white"
+              value={activeProfile.value}
+              onChange={(e) => setExportProfile(e.target.value)}
+            >
+              {profiles.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <small className="block text-xs mt-1">{activeProfile.description} Saved as {exportFileName(packInfo, activeProfile.value)}</small>
+          </div>
+
+          {activeProfile.value === "audioloader" && (
+            <div className="mb-4">
+              <label htmlFor="export-naming" className="block text-sm font-semibold text-accent">File Names in ZIP</label>
+              <select
+                id="export-naming"
+                className="w-full outline-none p-2 bg-nightLight text-white"
+                value={exportNaming}
+                onChange={(e) => setExportNaming(e.target.value)}
+              >
+                {NAMING_STRATEGIES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <small className="block text-xs mt-1">Identical files are stored once. Clashing names are numbered.</small>
+            </div>
+          )}
+
+          <div className="flex items-center justify-end">
+            {activeProfile.value === "audioloader" && (
+              <button
+                onClick={() => handleExportConfig(config, packInfo, exportNaming, conversionSettings, setErrorMessage)}
+                className="bg-nightLight hover:border-accent text-white p-3 rounded cursor-pointer flex items-center gap-2"
+              >
+                <ArrowDownTrayIcon className="h-5 w-5" />
+                Export <b className="bg-nightMid inline-block font-bold px-2 rounded-sm">pack.json</b>
+              </button>
+            )}
             <button
               onClick={handleExport}
-              className="bg-accent text-night ml-2 p-3 rounded hover:bg-accent/90 cursor-pointer flex items-center gap-2"
+              disabled={isValidating}
+              className="bg-accent text-night ml-2 p-3 rounded hover:bg-accent/90 cursor-pointer flex items-center gap-2 disabled:opacity-50"
             >
               <FolderIcon className="h-5 w-5" />
-              Export <b className="bg-accentMid inline-block font-bold px-2 rounded-sm">zip</b>
+              {isValidating ? "Checking…" : <>Export <b className="bg-accentMid inline-block font-bold px-2 rounded-sm">zip</b></>}
             </button>
           </div>
         </div>
@@ -533,47 +1851,178 @@ const App = () => {
             <div className="mb-4 table text-white text-left text-sm border-l-red-600 border-l-4 bg-nightMid pb-2 pt-1 sticky top-0">{errorMessage}</div>
           )}
 
-          <ul className="list-none block w-full">
-            {itemsData.map((item) => (
-              <li key={item.fileName} className="mb-12 w-full block">
-                <div className="flex items-start justify-between">
-                  <div>
-                    <h2 className="text-xl font-semibold text-left">{item.title}</h2>
-                    <small className="text-sm text-left mt-2 mb-2">{item.fileName}</small>
-                  </div>
-                  <PreviewButton fileName={item.fileName} />
-                </div>
-                <p className="text-left mt-2 mb-2">{item.description}</p>
-
-                <div className="my-4">
-                  <Dropzone 
-                    fileName={item.fileName} 
-                    handleFileUpload={handleFileUploadCallback}  
-                  />
-                </div>
+          <CatalogToolbar
+            search={catalogSearch}
+            onSearchChange={setCatalogSearch}
+            slotFilter={slotFilter}
+            onSlotFilterChange={setSlotFilter}
+            visualization={visualization}
+            onVisualizationChange={setVisualization}
+            onExpandAll={() => setCollapsedCategories(new Set())}
+            onCollapseAll={() => setCollapsedCategories(new Set(catalogGroups.map((group) => group.id)))}
+          />
 
-                { (config[item.fileName].length > 0) &&
-                  <small className="table mb-[-16px] py-1 px-6 rounded-t-md bg-nightMid">
-                    { config[item.fileName].length } Files
-                    <button
-                      type="button"
-                      onClick={() => handleRemoveAllFiles(item.fileName)}
-                      className="bg-nightLight rounded inline-block ml-2 py-1 px-2"
-                    >
-                      <TrashIcon className="w-3 h-3" />
-                      <span className="hidden">Remove all Files</span>
-                    </button>
-                  </small>
-                }
+          {catalogGroups.length === 0 && (
+            <p className="text-left text-sm">No slots match your filters.</p>
+          )}
 
-                <div className="mt-4 max-h-[240px] overflow-y-auto bg-nightMid">
-                  {config[item.fileName].map(({ name, url, size }) => (
-                    <AudioTrack key={name} name={name} url={url} size={size} onRemove={(name) => handleRemoveFile(item.fileName, name)} />
-                  ))}
-                </div>
-              </li>
-            ))}
-          </ul>
+          {catalogGroups.map((group) => {
+            const isCollapsed = collapsedCategories.has(group.id);
+            const filledCount = group.items.filter((item) => config[item.fileName]?.length > 0).length;
+
+            return (
+              <section key={group.id} className="mb-8" data-gamepad-section>
+                <button
+                  type="button"
+                  onClick={() => toggleCategory(group.id)}
+                  className="w-full flex items-center justify-between bg-nightMid hover:bg-nightLight p-3 rounded"
+                  aria-expanded={!isCollapsed}
+                >
+                  <span className="flex items-center gap-2 text-lg">
+                    {isCollapsed
+                      ? <ChevronRightIcon className="h-5 w-5" />
+                      : <ChevronDownIcon className="h-5 w-5" />}
+                    {group.title}
+                  </span>
+                  <small className="text-xs font-normal">{filledCount}/{group.items.length} filled</small>
+                </button>
+
+                {!isCollapsed && (
+                  <ul className="list-none block w-full mt-6">
+                    {group.items.map((item) => (
+                      <li
+                        key={item.fileName}
+                        className="mb-12 w-full block"
+                        onDragOver={(e) => {
+                          if (!isTrackDrag(e)) return;
+                          e.preventDefault();
+                          e.dataTransfer.dropEffect = isCopyDrag(e) ? "copy" : "move";
+                        }}
+                        onDrop={(e) => {
+                          if (!isTrackDrag(e)) return;
+                          e.preventDefault();
+                          handleTrackDrop(e, item.fileName, config[item.fileName].length);
+                        }}
+                      >
+                        <div className="flex items-start justify-between">
+                          <div>
+                            <h2 className="text-xl font-semibold text-left">{item.title}</h2>
+                            <small className="text-sm text-left mt-2 mb-2">{item.fileName}</small>
+                          </div>
+                          {!packInfo.music && <PreviewButton fileName={item.fileName} view={visualization} />}
+                        </div>
+                        <p className="text-left mt-2 mb-2">{item.description}</p>
+
+                        {!packInfo.music && (
+                          <div className="flex items-center gap-2 mt-2">
+                            <input
+                              id={`ignore-${item.fileName}`}
+                              type="checkbox"
+                              checked={packInfo.ignore.includes(item.fileName)}
+                              onChange={(e) => handleIgnoreChange(item.fileName, e.target.checked)}
+                            />
+                            <label htmlFor={`ignore-${item.fileName}`} className="text-sm">Ignore (mute) this sound</label>
+                          </div>
+                        )}
+
+                        <div className="my-4">
+                          <Dropzone 
+                            fileName={item.fileName} 
+                            format={item.format}
+                            handleFileUpload={handleFileUploadCallback}  
+                          />
+                          <ConversionProgress
+                            conversions={conversions.filter((conversion) => conversion.slot === item.fileName)}
+                            onDismiss={handleDismissConversion}
+                          />
+                          {slotTool?.slot === item.fileName && slotTool.tool === "synth" && (
+                            <SynthPanel
+                              onAdd={(settings, presetId) => handleGenerateTrack(item.fileName, settings, presetId)}
+                              onClose={() => setSlotTool(null)}
+                            />
+                          )}
+                          {slotTool?.slot === item.fileName && slotTool.tool === "record" && (
+                            <RecordPanel
+                              onAdd={(recording, edits) => handleRecordTrack(item.fileName, recording, edits)}
+                              onClose={() => setSlotTool(null)}
+                            />
+                          )}
+                          {slotTool?.slot !== item.fileName && (
+                            <div className="flex items-center gap-2 mt-2">
+                              <button
+                                type="button"
+                                onClick={() => setSlotTool({ slot: item.fileName, tool: "synth" })}
+                                className="bg-nightLight text-white py-1 px-3 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+                              >
+                                <SparklesIcon className="h-4 w-4" />
+                                Generate a sound
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => setSlotTool({ slot: item.fileName, tool: "record" })}
+                                className="bg-nightLight text-white py-1 px-3 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+                              >
+                                <MicrophoneIcon className="h-4 w-4" />
+                                Record
+                              </button>
+                            </div>
+                          )}
+                        </div>
+
+                        { (config[item.fileName].length > 0) &&
+                          <small className="table mb-[-16px] py-1 px-6 rounded-t-md bg-nightMid">
+                            { config[item.fileName].length } Files
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveAllFiles(item.fileName)}
+                              className="bg-nightLight rounded inline-block ml-2 py-1 px-2"
+                            >
+                              <TrashIcon className="w-3 h-3" />
+                              <span className="hidden">Remove all Files</span>
+                            </button>
+                          </small>
+                        }
+
+                        {config[item.fileName].length > 1 && (
+                          <VariantControls
+                            slot={item.fileName}
+                            tracks={config[item.fileName]}
+                            settings={getVariantSettings(packInfo, item.fileName)}
+                            onSettingsChange={(field, value) => handleVariantSettingChange(item.fileName, field, value)}
+                          />
+                        )}
+
+                        <div className="mt-4 max-h-[240px] overflow-y-auto bg-nightMid">
+                          {config[item.fileName].map((track, index, tracks) => (
+                            <AudioTrack
+                              key={track.name}
+                              slot={item.fileName}
+                              name={track.name}
+                              url={track.url}
+                              size={track.size}
+                              file={track.file}
+                              edits={track.edits}
+                              analysis={track.analysis}
+                              view={visualization}
+                              weight={trackWeight(track)}
+                              chance={tracks.length > 1 ? variantChances(tracks)[index] : undefined}
+                              editable={item.format === "wav"}
+                              onRemove={(name) => handleRemoveFile(item.fileName, name)}
+                              onRename={(oldName, newName) => handleRenameTrack(item.fileName, oldName, newName)}
+                              onEditsChange={(trackName, newEdits) => handleEditsChange(item.fileName, trackName, newEdits)}
+                              onWeightChange={(trackName, weight) => handleWeightChange(item.fileName, trackName, weight)}
+                              onDropTrack={(e, position) => handleTrackDrop(e, item.fileName, position === "before" ? index : index + 1)}
+                            />
+                          ))}
+                        </div>
+                      </li>
+
+                    ))}
+                  </ul>
+                )}
+              </section>
+            );
+          })}
         </div>
       </div>
     </div>
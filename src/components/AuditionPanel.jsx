@@ -0,0 +1,107 @@
+import { useState, useEffect, useRef } from "react";
+import { PlayIcon, StopIcon } from "@heroicons/react/24/outline";
+import sequences from "../data/sequences.json" with { type: "json" };
+import { prepareSequence, playSequence } from "../utils/auditionPlayer";
+
+const AuditionPanel = ({ config, packInfo, catalog }) => {
+  const [sequenceId, setSequenceId] = useState(sequences[0].id);
+  const [source, setSource] = useState("pack");
+  const [isLoading, setIsLoading] = useState(false);
+  const [currentStep, setCurrentStep] = useState(null);
+  const sourceRef = useRef(source);
+  const stopRef = useRef(null);
+
+  const sequence = sequences.find((entry) => entry.id === sequenceId);
+  const titles = Object.fromEntries(catalog.map((item) => [item.fileName, item.title]));
+  const isPlaying = currentStep !== null;
+
+  useEffect(() => {
+    sourceRef.current = source;
+  }, [source]);
+
+  useEffect(() => () => stopRef.current?.(), []);
+
+  const stop = () => {
+    stopRef.current?.();
+    stopRef.current = null;
+    setCurrentStep(null);
+  };
+
+  const play = async () => {
+    stop();
+    setIsLoading(true);
+    const buffers = await prepareSequence(sequence.steps, config, packInfo);
+    setIsLoading(false);
+
+    stopRef.current = playSequence(sequence.steps, buffers, () => sourceRef.current, {
+      onStep: setCurrentStep,
+      onEnd: () => setCurrentStep(null),
+    });
+  };
+
+  return (
+    <div className="mb-8 text-left">
+      <h3 className="text-xl font-semibold mb-4">Audition</h3>
+
+      <div className="flex items-center gap-2">
+        <select
+          aria-label="Sequence"
+          className="flex-1 outline-none p-2 bg-nightLight text-white"
+          value={sequenceId}
+          onChange={(e) => {
+            stop();
+            setSequenceId(e.target.value);
+          }}
+        >
+          {sequences.map(({ id, title }) => (
+            <option key={id} value={id}>{title}</option>
+          ))}
+        </select>
+
+        <div className="flex rounded overflow-hidden" role="group" aria-label="Sound source">
+          {[["pack", "A: Pack"], ["stock", "B: Stock"]].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setSource(value)}
+              className={`px-3 py-2 text-sm rounded-none ${
+                source === value ? "bg-accent text-night" : "bg-nightLight text-white"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <button
+          type="button"
+          onClick={isPlaying ? stop : play}
+          disabled={isLoading}
+          className={`p-2 rounded flex items-center ${
+            isPlaying ? "bg-accent text-night" : "bg-nightLight text-white hover:bg-accent hover:text-night"
+          } disabled:opacity-50`}
+        >
+          {isPlaying ? <StopIcon className="h-5 w-5" /> : <PlayIcon className="h-5 w-5" />}
+          <span className="hidden">{isPlaying ? "Stop" : "Play"}</span>
+        </button>
+      </div>
+
+      <p className="text-sm mt-2">{isLoading ? "Loading sounds…" : sequence.description}</p>
+
+      <ol className="flex flex-wrap gap-1 mt-2 text-xs">
+        {sequence.steps.map(({ slot }, index) => (
+          <li
+            key={index}
+            className={`px-2 py-1 rounded-full ${
+              index === currentStep ? "bg-accent text-night" : "bg-nightMid"
+            } ${packInfo.ignore.includes(slot) ? "line-through" : ""}`}
+          >
+            {titles[slot] || slot}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default AuditionPanel;
@@ -0,0 +1,288 @@
+import { useState, useEffect, useRef } from "react";
+import { PlayIcon, PlusIcon, TrashIcon, ArrowUpIcon, ArrowDownIcon } from "@heroicons/react/24/outline";
+import { EFFECTS, createEffect, applyEffectChain, renderEffectFile } from "../utils/effectChain";
+import { loadTrackBuffer, loadStockBuffer, playBuffer } from "../utils/auditionPlayer";
+import { toAudioBuffer } from "../utils/decodeAudio";
+import { uniqueName } from "../utils/mergePack";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+const DEFAULT_CHAIN = [createEffect("pitch"), createEffect("reverb")];
+
+// A slot is processed from its own tracks, or from the stock sound while it's empty
+const loadSources = async (config, slot) => {
+  const tracks = config[slot] || [];
+  if (tracks.length === 0) {
+    return [{ name: slot, audioBuffer: await loadStockBuffer(slot) }];
+  }
+  return Promise.all(tracks.map(async (track) => ({ name: track.name, audioBuffer: await loadTrackBuffer(track) })));
+};
+
+const effectName = (name, taken) => uniqueName(`${name.replace(/\.[^./]+$/, "")}_fx.wav`, taken);
+
+// Applies one effect chain to many slots at once, for deriving a themed pack
+// from the stock sounds (or the pack's own). Each result is added to its slot
+// as a WAV, like an upload.
+const BatchEffectsPanel = ({ config, catalog, conversionSettings, onApply, onClose }) => {
+  const [chain, setChain] = useState(DEFAULT_CHAIN);
+  const [newEffect, setNewEffect] = useState("lowpass");
+  // Nothing is processed or replaced until the user says so
+  const [scope, setScope] = useState("selected");
+  const [selected, setSelected] = useState([]);
+  const [replace, setReplace] = useState(false);
+  const [previewSlot, setPreviewSlot] = useState(catalog[0]?.fileName);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const sourceRef = useRef(null);
+  const isWorking = progress !== null;
+  const dialogRef = useFocusTrap(isWorking ? null : onClose);
+
+  useEffect(() => () => sourceRef.current?.stop(), []);
+
+  const slots = scope === "all"
+    ? catalog.map((item) => item.fileName)
+    : catalog.map((item) => item.fileName).filter((slot) => selected.includes(slot));
+
+  const updateEffect = (index, changes) => {
+    setChain((prev) => prev.map((effect, i) => (i === index ? { ...effect, ...changes } : effect)));
+  };
+
+  const moveEffect = (index, step) => {
+    setChain((prev) => {
+      const next = [...prev];
+      [next[index], next[index + step]] = [next[index + step], next[index]];
+      return next;
+    });
+  };
+
+  const toggleSlot = (slot) => {
+    setSelected((prev) => (prev.includes(slot) ? prev.filter((s) => s !== slot) : [...prev, slot]));
+  };
+
+  // Previews the slot's first source, before or after the chain
+  const handlePreview = async (processed) => {
+    sourceRef.current?.stop();
+    setError("");
+    try {
+      const [{ audioBuffer }] = await loadSources(config, previewSlot);
+      const buffer = processed
+        ? toAudioBuffer(await applyEffectChain(audioBuffer, chain), audioBuffer.sampleRate)
+        : audioBuffer;
+      sourceRef.current = playBuffer(buffer);
+    } catch {
+      setError("This slot could not be previewed.");
+    }
+  };
+
+  const handleApply = async () => {
+    sourceRef.current?.stop();
+    setError("");
+    const results = {};
+    const failed = [];
+
+    for (const [index, slot] of slots.entries()) {
+      setProgress(index / slots.length);
+      try {
+        const taken = new Set(replace ? [] : (config[slot] || []).map((track) => track.name));
+        const sources = await loadSources(config, slot);
+        results[slot] = [];
+        for (const { name, audioBuffer } of sources) {
+          const outputName = effectName(name, taken);
+          taken.add(outputName);
+          results[slot].push(await renderEffectFile(audioBuffer, chain, outputName, conversionSettings));
+        }
+      } catch {
+        delete results[slot];
+        failed.push(slot);
+      }
+    }
+
+    setProgress(null);
+    if (Object.keys(results).length > 0) onApply(results, replace);
+    if (failed.length > 0) {
+      setError(`Could not process ${failed.join(", ")}. The other slots were updated.`);
+    } else {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={isWorking ? undefined : onClose}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-2xl w-full text-left max-h-[90vh] overflow-y-auto"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-2">Batch Effects</h3>
+        <p className="text-sm mb-4">
+          Runs every sound in the chosen slots through the effects below, top to bottom.
+          Empty slots start from their stock sound.
+        </p>
+
+        <ol className="mb-4">
+          {chain.map((effect, index) => (
+            <li key={index} className="bg-nightLight p-3 mt-2 rounded">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-sm font-semibold">{index + 1}. {EFFECTS[effect.type].label}</span>
+                <span className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => moveEffect(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 rounded hover:bg-nightMid disabled:opacity-30"
+                    aria-label={`Move ${EFFECTS[effect.type].label} up`}
+                  >
+                    <ArrowUpIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveEffect(index, 1)}
+                    disabled={index === chain.length - 1}
+                    className="p-1 rounded hover:bg-nightMid disabled:opacity-30"
+                    aria-label={`Move ${EFFECTS[effect.type].label} down`}
+                  >
+                    <ArrowDownIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setChain((prev) => prev.filter((_, i) => i !== index))}
+                    className="p-1 rounded hover:bg-red-600"
+                    aria-label={`Remove ${EFFECTS[effect.type].label}`}
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </span>
+              </div>
+              {Object.entries(EFFECTS[effect.type].params).map(([param, { label, min, max, step, unit }]) => (
+                <label key={param} className="flex items-center gap-2 text-xs">
+                  <span className="w-20 shrink-0 font-semibold text-accent">{label}</span>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={effect[param]}
+                    onChange={(e) => updateEffect(index, { [param]: parseFloat(e.target.value) })}
+                    className="flex-1"
+                  />
+                  <span className="w-16 text-right">{effect[param]}{unit && ` ${unit}`}</span>
+                </label>
+              ))}
+            </li>
+          ))}
+        </ol>
+
+        <div className="flex items-center gap-2 mb-6">
+          <select
+            className="flex-1 outline-none p-2 bg-nightLight text-white text-sm"
+            value={newEffect}
+            onChange={(e) => setNewEffect(e.target.value)}
+            aria-label="Effect to add"
+          >
+            {Object.entries(EFFECTS).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => setChain((prev) => [...prev, createEffect(newEffect)])}
+            className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+          >
+            <PlusIcon className="h-4 w-4" />
+            Add Effect
+          </button>
+        </div>
+
+        <div className="flex items-center gap-4 mb-2 text-sm">
+          <label className="flex items-center gap-2">
+            <input type="radio" name="batch-scope" checked={scope === "selected"} onChange={() => setScope("selected")} />
+            Selected slots
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="batch-scope" checked={scope === "all"} onChange={() => setScope("all")} />
+            All slots
+          </label>
+        </div>
+        {scope === "selected" && (
+          <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-4 max-h-48 overflow-y-auto bg-night p-2 rounded mb-2">
+            {catalog.map((item) => (
+              <li key={item.fileName}>
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(item.fileName)}
+                    onChange={() => toggleSlot(item.fileName)}
+                  />
+                  <span className="truncate">{item.title}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        )}
+        <label className="flex items-center gap-2 text-sm mb-6">
+          <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+          Replace the slots&apos; current sounds (otherwise the results are added as variants)
+        </label>
+
+        <div className="flex items-center gap-2 mb-6">
+          <select
+            className="flex-1 outline-none p-2 bg-nightLight text-white text-sm"
+            value={previewSlot}
+            onChange={(e) => setPreviewSlot(e.target.value)}
+            aria-label="Slot to preview"
+          >
+            {catalog.map((item) => (
+              <option key={item.fileName} value={item.fileName}>{item.title}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => handlePreview(false)}
+            className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+          >
+            <PlayIcon className="h-4 w-4" />
+            Original
+          </button>
+          <button
+            type="button"
+            onClick={() => handlePreview(true)}
+            className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+          >
+            <PlayIcon className="h-4 w-4" />
+            With Effects
+          </button>
+        </div>
+
+        {error && <p className="text-sm border-l-red-600 border-l-4 pl-2 mb-4">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isWorking}
+            className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={isWorking || slots.length === 0 || chain.length === 0}
+            className="px-4 py-2 bg-accent text-night rounded hover:bg-accentMid disabled:opacity-50"
+          >
+            {isWorking
+              ? `Processing… ${Math.round(progress * 100)}%`
+              : `Apply to ${slots.length} slot${slots.length === 1 ? "" : "s"}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchEffectsPanel;
@@ -0,0 +1,63 @@
+import { MagnifyingGlassIcon } from "@heroicons/react/24/outline";
+import { SLOT_FILTERS } from "../utils/catalog";
+
+const VISUALIZATIONS = [
+  { value: "waveform", label: "Waveform" },
+  { value: "spectrogram", label: "Spectrogram" },
+];
+
+const CatalogToolbar = ({
+  search,
+  onSearchChange,
+  slotFilter,
+  onSlotFilterChange,
+  visualization,
+  onVisualizationChange,
+  onExpandAll,
+  onCollapseAll,
+}) => (
+  <div className="mb-6 flex flex-wrap items-center gap-2 sticky top-0 z-10 bg-night py-2">
+    <div className="flex-1 flex items-center gap-2 border-b-2 border-nightLight focus-within:border-accent">
+      <MagnifyingGlassIcon className="h-5 w-5 text-accent" />
+      <input
+        type="text"
+        aria-label="Search slots"
+        placeholder="Search sounds…"
+        className="w-full outline-none py-2 bg-transparent text-white"
+        value={search}
+        onChange={(e) => onSearchChange(e.target.value)}
+      />
+    </div>
+
+    <select
+      aria-label="Filter slots"
+      className="outline-none p-2 bg-nightLight text-white text-sm"
+      value={slotFilter}
+      onChange={(e) => onSlotFilterChange(e.target.value)}
+    >
+      {SLOT_FILTERS.map(({ value, label }) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+
+    <select
+      aria-label="Visualization"
+      className="outline-none p-2 bg-nightLight text-white text-sm"
+      value={visualization}
+      onChange={(e) => onVisualizationChange(e.target.value)}
+    >
+      {VISUALIZATIONS.map(({ value, label }) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+
+    <button type="button" onClick={onExpandAll} className="bg-nightLight text-white text-xs py-2 px-3 rounded hover:bg-accent hover:text-night">
+      Expand All
+    </button>
+    <button type="button" onClick={onCollapseAll} className="bg-nightLight text-white text-xs py-2 px-3 rounded hover:bg-accent hover:text-night">
+      Collapse All
+    </button>
+  </div>
+);
+
+export default CatalogToolbar;
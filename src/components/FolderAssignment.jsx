@@ -0,0 +1,114 @@
+import { useState } from "react";
+import { ExclamationTriangleIcon } from "@heroicons/react/24/outline";
+import { getSlotFormat } from "../utils/packManifest";
+import { hasFormat } from "../utils/convertAudio";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+// Review step for a bulk folder drop: every file with its proposed slot, which
+// the user can change (or clear) before anything is added to the pack
+const FolderAssignment = ({ result, catalog, onConfirm, onCancel }) => {
+  const dialogRef = useFocusTrap(onCancel);
+  const [slots, setSlots] = useState(() => result.rows.map((row) => row.slot));
+
+  const assignedCount = slots.filter(Boolean).length;
+  const unmatchedCount = result.rows.filter((row) => !row.slot).length;
+
+  const handleConfirm = () => {
+    const assignments = {};
+    result.rows.forEach(({ file }, index) => {
+      const slot = slots[index];
+      if (!slot) return;
+      assignments[slot] = assignments[slot] || [];
+      assignments[slot].push(file);
+    });
+    onConfirm(assignments);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onCancel}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-2xl w-full max-h-[85vh] flex flex-col"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-1">Assign Files to Slots</h3>
+        <p className="text-sm mb-4 text-left">
+          {result.rows.length} file(s) · {result.rows.length - unmatchedCount} matched by name · {unmatchedCount} unmatched
+          {result.skipped.length > 0 && ` · ${result.skipped.length} skipped (not audio)`}
+        </p>
+
+        <div className="overflow-y-auto flex-1 text-left text-sm">
+          <table className="w-full">
+            <thead>
+              <tr className="text-accent text-xs">
+                <th className="text-left font-semibold py-1">File</th>
+                <th className="text-left font-semibold py-1">Slot</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.map(({ path, file, slot: proposed }, index) => {
+                const slot = slots[index];
+                const format = slot && getSlotFormat(slot);
+                return (
+                  <tr key={path} className="border-b border-nightLight">
+                    <td className="py-1 pr-2 max-w-0 w-1/2">
+                      <span className="flex items-center gap-2" title={path}>
+                        {!proposed && <ExclamationTriangleIcon className="h-4 w-4 shrink-0 text-yellow-400" />}
+                        <span className="truncate">{path}</span>
+                      </span>
+                    </td>
+                    <td className="py-1">
+                      <select
+                        aria-label={`Slot for ${path}`}
+                        className="outline-none p-1 bg-nightLight text-white text-xs w-full"
+                        value={slot}
+                        onChange={(e) => {
+                          const value = e.target.value;
+                          setSlots((prev) => prev.map((current, i) => (i === index ? value : current)));
+                        }}
+                      >
+                        <option value="">Don&apos;t import</option>
+                        {catalog.map((item) => (
+                          <option key={item.fileName} value={item.fileName}>{item.title}</option>
+                        ))}
+                      </select>
+                      {format && !hasFormat(file, format) && (
+                        <small className="text-xs text-accentLight">Will be converted to .{format}</small>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {result.rows.length === 0 && <p>No audio files were found in the dropped folder.</p>}
+        </div>
+
+        <div className="flex justify-end gap-4 mt-4">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={assignedCount === 0}
+            className="px-4 py-2 text-night bg-accent rounded hover:bg-accentMid transition disabled:opacity-50"
+          >
+            Add {assignedCount} File(s)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FolderAssignment;
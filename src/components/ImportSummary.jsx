@@ -0,0 +1,106 @@
+import { useState } from "react";
+import { ExclamationTriangleIcon, InformationCircleIcon } from "@heroicons/react/24/outline";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+const ImportSummary = ({ result, catalog, onConfirm, onCancel }) => {
+  const dialogRef = useFocusTrap(onCancel);
+  const [assignments, setAssignments] = useState(() =>
+    Object.fromEntries(result.strays.map(({ path, suggestedSlot }) => [path, suggestedSlot || ""]))
+  );
+
+  const { packInfo, slots, missing, strays, unknownSlots, notes } = result;
+  const importedCount = Object.values(slots).flat().length;
+  const assignedCount = Object.values(assignments).filter(Boolean).length;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onCancel}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-xl w-full max-h-[85vh] flex flex-col"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-1">Import Summary</h3>
+        <p className="text-sm mb-4 text-left">
+          {packInfo ? <b>{packInfo.name}</b> : "No manifest"} · {importedCount} mapped file(s) found
+        </p>
+
+        <div className="overflow-y-auto flex-1 text-left text-sm">
+          {notes.map((note) => (
+            <p key={note} className="flex items-start gap-2 mb-2">
+              <InformationCircleIcon className="h-5 w-5 shrink-0 text-accent" />
+              {note}
+            </p>
+          ))}
+
+          {missing.length > 0 && (
+            <>
+              <h4 className="font-semibold text-yellow-400 mt-4">{missing.length} Missing File(s)</h4>
+              <ul className="list-none">
+                {missing.map(({ slot, name }) => (
+                  <li key={`${slot}/${name}`} className="flex items-start gap-2 py-1 border-b border-nightLight">
+                    <ExclamationTriangleIcon className="h-5 w-5 shrink-0 text-yellow-400" />
+                    <span><small className="text-xs text-accent">{slot} › </small>{name}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {unknownSlots.length > 0 && (
+            <>
+              <h4 className="font-semibold text-yellow-400 mt-4">Unrecognized Slots</h4>
+              <p>These mappings will be kept and exported, but are not shown in the editor: {unknownSlots.join(", ")}</p>
+            </>
+          )}
+
+          {strays.length > 0 && (
+            <>
+              <h4 className="font-semibold mt-4">{strays.length} Unmapped Audio File(s)</h4>
+              <ul className="list-none">
+                {strays.map(({ path }) => (
+                  <li key={path} className="flex items-center justify-between gap-2 py-1 border-b border-nightLight">
+                    <span className="truncate" title={path}>{path}</span>
+                    <select
+                      className="outline-none p-1 bg-nightLight text-white text-xs max-w-[50%]"
+                      value={assignments[path]}
+                      onChange={(e) => setAssignments((prev) => ({ ...prev, [path]: e.target.value }))}
+                    >
+                      <option value="">Don&apos;t import</option>
+                      {catalog.map((item) => (
+                        <option key={item.fileName} value={item.fileName}>{item.title}</option>
+                      ))}
+                    </select>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-4 mt-4">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(assignments)}
+            disabled={importedCount + assignedCount === 0 && !packInfo}
+            className="px-4 py-2 text-night bg-accent rounded hover:bg-accentMid transition disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportSummary;
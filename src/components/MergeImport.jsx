@@ -0,0 +1,167 @@
+import { useState } from "react";
+import { CONFLICT_STRATEGIES, findConflict } from "../utils/mergePack";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+const UNMAPPED_GROUP = "__unmapped__";
+
+const buildIncoming = (result) => {
+  const items = [];
+  for (const slot in result.slots) {
+    result.slots[slot].forEach(({ name, blob }, index) => {
+      items.push({ key: `${slot}/${index}/${name}`, group: slot, slot, name, blob });
+    });
+  }
+  result.strays.forEach(({ path, name, blob, suggestedSlot }) => {
+    items.push({ key: path, group: UNMAPPED_GROUP, slot: suggestedSlot || "", name, blob });
+  });
+  return items;
+};
+
+const MergeImport = ({ result, config, catalog, onConfirm, onCancel }) => {
+  const dialogRef = useFocusTrap(onCancel);
+  const [items, setItems] = useState(() => buildIncoming(result));
+  const [selected, setSelected] = useState(() => new Set());
+  const [strategy, setStrategy] = useState("rename");
+
+  const titles = Object.fromEntries(catalog.map((item) => [item.fileName, item.title]));
+  const groups = [...new Set(items.map((item) => item.group))];
+
+  const toggle = (keys, checked) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      keys.forEach((key) => (checked ? next.add(key) : next.delete(key)));
+      return next;
+    });
+  };
+
+  const setTarget = (key, slot) => {
+    setItems((prev) => prev.map((item) => (item.key === key ? { ...item, slot } : item)));
+  };
+
+  const selections = items.filter((item) => selected.has(item.key) && item.slot);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onCancel}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-3xl w-full max-h-[85vh] flex flex-col"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-1">Merge from {result.packInfo?.name || "ZIP"}</h3>
+        <p className="text-sm mb-4 text-left">Pick the sounds to copy into your current project.</p>
+
+        <div className="grid grid-cols-2 gap-4 text-xs font-semibold text-accent text-left px-2">
+          <span>From ZIP</span>
+          <span>In your project</span>
+        </div>
+
+        <div className="overflow-y-auto flex-1 text-left text-sm">
+          {groups.map((group) => {
+            const groupItems = items.filter((item) => item.group === group);
+            const groupKeys = groupItems.map((item) => item.key);
+            const isGroupSelected = groupKeys.every((key) => selected.has(key));
+            const current = group === UNMAPPED_GROUP ? [] : config[group] || [];
+
+            return (
+              <div key={group} className="border-b border-nightLight py-2 px-2">
+                <label className="flex items-center gap-2 font-semibold">
+                  <input
+                    type="checkbox"
+                    checked={isGroupSelected}
+                    onChange={(e) => toggle(groupKeys, e.target.checked)}
+                  />
+                  {group === UNMAPPED_GROUP ? "Unmapped Files" : titles[group] || group}
+                </label>
+
+                <div className="grid grid-cols-2 gap-4 mt-1">
+                  <ul className="list-none">
+                    {groupItems.map((item) => {
+                      const conflict = item.slot && findConflict(config, item.slot, item.name);
+                      return (
+                        <li key={item.key} className="flex items-center gap-2 py-1">
+                          <input
+                            type="checkbox"
+                            checked={selected.has(item.key)}
+                            onChange={(e) => toggle([item.key], e.target.checked)}
+                          />
+                          <span className="truncate flex-1" title={item.name}>{item.name}</span>
+                          {conflict && (
+                            <small
+                              className="bg-yellow-400 text-night rounded-full px-2 text-xs"
+                              title={conflict === "slot" ? "Already in this slot" : "Name used by another slot"}
+                            >
+                              {conflict === "slot" ? "Exists" : "Name taken"}
+                            </small>
+                          )}
+                          {group === UNMAPPED_GROUP && (
+                            <select
+                              className="outline-none p-1 bg-nightLight text-white text-xs max-w-[40%]"
+                              value={item.slot}
+                              onChange={(e) => setTarget(item.key, e.target.value)}
+                            >
+                              <option value="">Choose slot…</option>
+                              {catalog.map((entry) => (
+                                <option key={entry.fileName} value={entry.fileName}>{entry.title}</option>
+                              ))}
+                            </select>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+
+                  <ul className="list-none text-accentLight">
+                    {current.length === 0 && group !== UNMAPPED_GROUP && <li className="py-1 italic">Empty</li>}
+                    {current.map((track) => (
+                      <li key={track.name} className="py-1 truncate" title={track.name}>{track.name}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center justify-between gap-4 mt-4">
+          <div className="flex items-center gap-2">
+            <label htmlFor="merge-strategy" className="text-sm font-semibold text-accent">On name conflict</label>
+            <select
+              id="merge-strategy"
+              className="outline-none p-2 bg-nightLight text-white text-sm"
+              value={strategy}
+              onChange={(e) => setStrategy(e.target.value)}
+            >
+              {CONFLICT_STRATEGIES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex gap-4">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night transition"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(selections, strategy)}
+              disabled={selections.length === 0}
+              className="px-4 py-2 text-night bg-accent rounded hover:bg-accentMid transition disabled:opacity-50"
+            >
+              Merge {selections.length > 0 && selections.length}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeImport;
@@ -0,0 +1,156 @@
+import { useState, useEffect } from "react";
+import { planExport } from "../utils/exportPlan";
+import { snapshotPlan, diffPacks, hasChanges, suggestBump, bumpVersion, buildChangelog, slotTitle } from "../utils/packDiff";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+const STATUS_LABELS = {
+  new: "New",
+  reverted: "Stock again",
+  changed: "Changed",
+};
+
+const TrackList = ({ label, names, className }) =>
+  names.length > 0 && (
+    <p className="text-xs">
+      <span className={`font-semibold ${className}`}>{label}:</span> {names.join(", ")}
+    </p>
+  );
+
+// What changed since the baseline release, slot by slot, with the version
+// bump it calls for and the changelog the exported ZIP will carry
+const PackDiffDialog = ({ baseline, config, packInfo, naming, output, onUseVersion, onClose }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    planExport(config, packInfo, naming, output)
+      .then((plan) => {
+        if (cancelled) return;
+        const current = snapshotPlan(packInfo, plan);
+        const diff = diffPacks(baseline, current);
+        setResult({ diff, changelog: buildChangelog(diff, baseline, current) });
+      })
+      .catch(() => !cancelled && setError("The pack could not be compared."));
+    return () => {
+      cancelled = true;
+    };
+  }, [baseline, config, packInfo, naming, output]);
+
+  const diff = result?.diff;
+  const level = diff && suggestBump(diff);
+  const suggested = level && bumpVersion(baseline.packInfo.version, level);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-2xl w-full max-h-[85vh] flex flex-col text-left"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-1">Changes Since {baseline.packInfo.version}</h3>
+        <p className="text-sm mb-4">Compared with {baseline.packInfo.name} by audio content, so renamed or re-exported files aren&apos;t counted twice.</p>
+
+        <div className="overflow-y-auto flex-1 text-sm">
+          {error && <p className="border-l-red-600 border-l-4 pl-2">{error}</p>}
+          {!diff && !error && <p>Comparing…</p>}
+
+          {diff && !hasChanges(diff) && <p>Nothing has changed yet.</p>}
+
+          {diff && hasChanges(diff) && (
+            <>
+              {(diff.fields.length > 0 || diff.musicChanged) && (
+                <>
+                  <h4 className="font-semibold text-accent mt-2">Manifest</h4>
+                  <ul>
+                    {diff.musicChanged && (
+                      <li className="py-1 border-b border-nightLight">
+                        Pack type: {packInfo.music ? "sound effects → music" : "music → sound effects"}
+                      </li>
+                    )}
+                    {diff.fields.map(({ field, label, from, to }) => (
+                      <li key={field} className="py-1 border-b border-nightLight">
+                        {label}: <s className="text-accentLight">{String(from)}</s> → {String(to)}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
+              {diff.slots.length > 0 && (
+                <>
+                  <h4 className="font-semibold text-accent mt-4">Slots</h4>
+                  <ul>
+                    {diff.slots.map(({ slot, status, added, removed, replaced, renamed, reweighted, settingsChanged }) => (
+                      <li key={slot} className="py-2 border-b border-nightLight">
+                        <div className="flex items-center justify-between">
+                          <span>{slotTitle(slot)}</span>
+                          <span className="text-xs bg-nightLight px-2 rounded">{STATUS_LABELS[status]}</span>
+                        </div>
+                        <TrackList label="Added" names={added} className="text-green-400" />
+                        <TrackList label="Removed" names={removed} className="text-red-400" />
+                        <TrackList label="New audio" names={replaced} className="text-yellow-400" />
+                        <TrackList label="Renamed" names={renamed.map(({ from, to }) => `${from} → ${to}`)} className="text-accent" />
+                        <TrackList label="Weight" names={reweighted.map(({ name, from, to }) => `${name} ${from} → ${to}`)} className="text-accent" />
+                        {settingsChanged && <p className="text-xs">Variant playback settings changed</p>}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
+              {(diff.ignored.length > 0 || diff.unignored.length > 0) && (
+                <>
+                  <h4 className="font-semibold text-accent mt-4">Silenced Slots</h4>
+                  <TrackList label="Now silent" names={diff.ignored.map(slotTitle)} className="text-red-400" />
+                  <TrackList label="No longer silent" names={diff.unignored.map(slotTitle)} className="text-green-400" />
+                </>
+              )}
+
+              <h4 className="font-semibold text-accent mt-4">CHANGELOG.md</h4>
+              <pre className="bg-night p-2 rounded text-xs whitespace-pre-wrap">{result.changelog}</pre>
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-2 mt-4">
+          <span className="text-sm">
+            {suggested && (
+              <>
+                Suggested: <b>{suggested}</b> ({level})
+                {suggested === packInfo.version && " ✓"}
+              </>
+            )}
+          </span>
+          <span className="flex gap-2">
+            {suggested && suggested !== packInfo.version && (
+              <button
+                type="button"
+                onClick={() => onUseVersion(suggested)}
+                className="px-4 py-2 bg-accent text-night rounded hover:bg-accentMid"
+              >
+                Use {suggested}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night"
+            >
+              Close
+            </button>
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PackDiffDialog;
@@ -0,0 +1,103 @@
+import { TrashIcon, PlusIcon, FolderOpenIcon, DocumentArrowUpIcon } from "@heroicons/react/24/outline";
+import { PROJECT_EXTENSION } from "../utils/shareProject";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+const ProjectsPanel = ({ projects, currentId, onOpen, onOpenFile, onDelete, onNew, onClose }) => {
+  const dialogRef = useFocusTrap(onClose);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-lg w-full max-h-[80vh] flex flex-col"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold">Projects</h3>
+          <div className="flex items-center gap-2">
+            <label className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm cursor-pointer">
+              <DocumentArrowUpIcon className="h-4 w-4" />
+              Open {PROJECT_EXTENSION} file
+              <input
+                type="file"
+                accept={PROJECT_EXTENSION}
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files[0];
+                  e.target.value = "";
+                  if (file) onOpenFile(file);
+                }}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={onNew}
+              className="bg-accent text-night p-2 rounded hover:bg-accentMid flex items-center gap-1 text-sm"
+            >
+              <PlusIcon className="h-4 w-4" />
+              New Project
+            </button>
+          </div>
+        </div>
+
+        <ul className="list-none overflow-y-auto flex-1 text-left">
+          {projects.length === 0 && <li className="text-sm">No saved projects yet.</li>}
+          {projects.map(({ id, name, updatedAt, trackCount }) => (
+            <li
+              key={id}
+              className={`flex items-center justify-between gap-2 p-2 border-l-4 ${
+                id === currentId ? "border-l-accent bg-nightLight" : "border-l-transparent"
+              }`}
+            >
+              <div>
+                <b>{name || "Untitled Pack"}</b>
+                <small className="block text-xs">
+                  {trackCount} Files · Saved {formatDate(updatedAt)}
+                </small>
+              </div>
+              <div className="flex items-center gap-2">
+                {id !== currentId && (
+                  <button
+                    type="button"
+                    onClick={() => onOpen(id)}
+                    className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1"
+                  >
+                    <FolderOpenIcon className="h-5 w-5" />
+                    <span className="hidden">Open</span>
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => onDelete(id)}
+                  className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1"
+                >
+                  <TrashIcon className="h-5 w-5" />
+                  <span className="hidden">Delete</span>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night transition"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectsPanel;
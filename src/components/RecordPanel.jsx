@@ -0,0 +1,158 @@
+import { useState, useEffect, useRef } from "react";
+import { MicrophoneIcon, StopIcon, PlusIcon, TrashIcon } from "@heroicons/react/24/outline";
+import TrackEditor from "./TrackEditor";
+import { requestMicrophone, startRecording } from "../utils/recorder";
+import { defaultEdits } from "../utils/audioEdits";
+import { formatDb, toDb } from "../utils/loudness";
+
+const formatElapsed = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, "0")}`;
+
+// Records a take from the microphone (or any stream `getStream` resolves to),
+// then lets the user trim it before it is added to the slot as a WAV
+const RecordPanel = ({ getStream = requestMicrophone, onAdd, onClose }) => {
+  const [status, setStatus] = useState("idle");
+  const [level, setLevel] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+  const [recording, setRecording] = useState(null);
+  const [edits, setEdits] = useState(defaultEdits);
+  const [error, setError] = useState("");
+  const sessionRef = useRef(null);
+
+  useEffect(() => () => sessionRef.current?.cancel(), []);
+
+  useEffect(() => {
+    if (status !== "recording") return;
+    const startedAt = Date.now();
+    const interval = setInterval(() => setElapsed(Date.now() - startedAt), 250);
+    return () => clearInterval(interval);
+  }, [status]);
+
+  const handleRecord = async () => {
+    setError("");
+    try {
+      const stream = await getStream();
+      sessionRef.current = startRecording(stream, { onLevel: setLevel });
+      setRecording(null);
+      setEdits(defaultEdits);
+      setElapsed(0);
+      setStatus("recording");
+    } catch {
+      setError("The microphone could not be opened. Check that the browser is allowed to use it.");
+    }
+  };
+
+  const handleStop = async () => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    setLevel(0);
+    try {
+      setRecording(await session.stop());
+      setStatus("review");
+    } catch {
+      setError("The recording failed.");
+      setStatus("idle");
+    }
+  };
+
+  const handleAdd = async () => {
+    setStatus("saving");
+    try {
+      await onAdd(recording, edits);
+      setRecording(null);
+      setStatus("idle");
+    } catch {
+      setError("The recording could not be converted to WAV.");
+      setStatus("review");
+    }
+  };
+
+  const handleDiscard = () => {
+    setRecording(null);
+    setStatus("idle");
+  };
+
+  return (
+    <div className="bg-nightMid p-4 mt-2 rounded text-left">
+      {status === "recording" && (
+        <div className="mb-4">
+          <div className="flex items-center justify-between text-xs mb-1">
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-2 h-2 rounded-full bg-red-500" /> Recording {formatElapsed(elapsed)}
+            </span>
+            <span>{formatDb(toDb(level))}</span>
+          </div>
+          <div className="h-2 bg-night rounded overflow-hidden" role="meter" aria-label="Input level" aria-valuemin={0} aria-valuemax={1} aria-valuenow={level}>
+            <div
+              className={`h-full ${level >= 0.99 ? "bg-red-500" : "bg-accent"}`}
+              style={{ width: `${Math.min(level, 1) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {recording && status !== "recording" && (
+        <TrackEditor file={recording} edits={edits} onChange={setEdits} />
+      )}
+
+      {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+
+      <div className="flex items-center justify-end gap-2 mt-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-2 bg-nightLight rounded hover:bg-accent hover:text-night text-sm"
+        >
+          Close
+        </button>
+
+        {status === "recording"
+          ? (
+            <button
+              type="button"
+              onClick={handleStop}
+              className="bg-red-500 text-white p-2 rounded flex items-center gap-1 text-sm"
+            >
+              <StopIcon className="h-4 w-4" />
+              Stop
+            </button>
+          )
+          : (
+            <button
+              type="button"
+              onClick={handleRecord}
+              disabled={status === "saving"}
+              className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm disabled:opacity-50"
+            >
+              <MicrophoneIcon className="h-4 w-4" />
+              {recording ? "Record Again" : "Record"}
+            </button>
+          )
+        }
+
+        {recording && status !== "recording" && (
+          <>
+            <button
+              type="button"
+              onClick={handleDiscard}
+              className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+            >
+              <TrashIcon className="h-4 w-4" />
+              Discard
+            </button>
+            <button
+              type="button"
+              onClick={handleAdd}
+              disabled={status === "saving"}
+              className="bg-accent text-night p-2 rounded hover:bg-accentMid flex items-center gap-1 text-sm disabled:opacity-50"
+            >
+              <PlusIcon className="h-4 w-4" />
+              Add to Slot
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecordPanel;
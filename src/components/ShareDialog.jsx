@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { saveAs } from "file-saver";
+import { LinkIcon, ArrowDownTrayIcon, ClipboardDocumentIcon } from "@heroicons/react/24/outline";
+import { createShareLink, createProjectFile, projectFileName } from "../utils/shareProject";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+const ShareDialog = ({ config, packInfo, onClose }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [isWorking, setIsWorking] = useState(false);
+  const [share, setShare] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+  const fileName = projectFileName(packInfo);
+
+  const run = async (task) => {
+    setIsWorking(true);
+    setError("");
+    try {
+      await task();
+    } catch {
+      setError("The project could not be packaged for sharing.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCreateLink = () => run(async () => {
+    const result = await createShareLink(config, packInfo);
+    setShare(result);
+    setCopied(false);
+    if (result.projectFile) saveAs(result.projectFile, fileName);
+  });
+
+  const handleDownloadFile = () => run(async () => {
+    saveAs(await createProjectFile(config, packInfo), fileName);
+  });
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(share.link);
+    setCopied(true);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-lg w-full text-left"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-4">Share Project</h3>
+        <p className="text-sm mb-4">
+          Send a work-in-progress without exporting it. Whoever opens it gets the pack settings,
+          every sound and its edits as a new project.
+        </p>
+
+        <div className="flex gap-2 mb-4">
+          <button
+            type="button"
+            onClick={handleCreateLink}
+            disabled={isWorking}
+            className="bg-accent text-night p-2 rounded hover:bg-accentMid flex items-center gap-1 text-sm disabled:opacity-50"
+          >
+            <LinkIcon className="h-4 w-4" />
+            Create link
+          </button>
+          <button
+            type="button"
+            onClick={handleDownloadFile}
+            disabled={isWorking}
+            className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4" />
+            Download {fileName}
+          </button>
+        </div>
+
+        {isWorking && <p className="text-sm">Packaging…</p>}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {share && (
+          <div className="mb-4">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                readOnly
+                aria-label="Share link"
+                value={share.link}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 outline-none p-2 bg-nightLight text-white text-xs"
+              />
+              <button
+                type="button"
+                onClick={handleCopy}
+                className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+              >
+                <ClipboardDocumentIcon className="h-4 w-4" />
+                {copied ? "Copied" : "Copy"}
+              </button>
+            </div>
+            <small className="block text-xs mt-2 text-accentLight">
+              {share.projectFile
+                ? `The audio is too large for a link, so ${fileName} was downloaded. Send it along with the link.`
+                : "The audio is included in the link."}
+            </small>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night transition"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { ExclamationTriangleIcon, DocumentArrowUpIcon } from "@heroicons/react/24/outline";
+import { readProjectFile, PROJECT_EXTENSION } from "../utils/shareProject";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+// Confirms opening a shared project (from a link or a .sdeck file) over the
+// current one. Links that reference a companion file ask for it first.
+const SharedProjectPrompt = ({ project, onConfirm, onCancel }) => {
+  const dialogRef = useFocusTrap(onCancel);
+  const [projectFile, setProjectFile] = useState(null);
+  const [error, setError] = useState("");
+
+  const trackCount = Object.values(project.slots).flat().length;
+  const canOpen = !project.companion || projectFile;
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setError("");
+    try {
+      const parsed = await readProjectFile(file);
+      if (project.id && parsed.id !== project.id) {
+        throw new Error(`${file.name} doesn't belong to this link.`);
+      }
+      setProjectFile(parsed);
+    } catch (fileError) {
+      setProjectFile(null);
+      setError(fileError.message);
+    }
+  };
+
+  const handleConfirm = async () => {
+    try {
+      await onConfirm(projectFile);
+    } catch (openError) {
+      setError(openError.message);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onCancel}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-md w-full text-left"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-1">Open Shared Project</h3>
+        <p className="text-sm mb-4">
+          <b>{project.packInfo.name || "Untitled Pack"}</b>
+          {project.packInfo.author && ` by ${project.packInfo.author}`} · {trackCount} file(s)
+        </p>
+
+        {project.warnings.map((warning) => (
+          <p key={warning} className="flex items-start gap-2 mb-2 text-sm">
+            <ExclamationTriangleIcon className="h-5 w-5 shrink-0 text-yellow-400" />
+            {warning}
+          </p>
+        ))}
+
+        {project.companion && (
+          <div className="mb-4 text-sm">
+            <p className="mb-2">The audio for this link is in <b>{project.companion}</b>.</p>
+            <label className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night inline-flex items-center gap-1 cursor-pointer">
+              <DocumentArrowUpIcon className="h-4 w-4" />
+              {projectFile ? "Choose a different file" : `Choose ${project.companion}`}
+              <input type="file" accept={PROJECT_EXTENSION} className="hidden" onChange={handleFileChange} />
+            </label>
+            {projectFile && <small className="block text-xs mt-1 text-accentLight">Project file loaded.</small>}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+        <p className="text-sm mb-4">Opening it replaces the current project, which stays available under Projects.</p>
+
+        <div className="flex justify-end gap-4">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!canOpen}
+            className="px-4 py-2 text-night bg-accent rounded hover:bg-accentMid transition disabled:opacity-50"
+          >
+            Open
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedProjectPrompt;
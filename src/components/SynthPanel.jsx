@@ -0,0 +1,146 @@
+import { useState, useEffect, useRef } from "react";
+import { PlayIcon, PlusIcon } from "@heroicons/react/24/outline";
+import {
+  WAVEFORMS,
+  FILTER_TYPES,
+  PITCH_CURVES,
+  SYNTH_PRESETS,
+  getPresetSettings,
+  renderSynth,
+  synthDuration,
+} from "../utils/synth";
+import { toAudioBuffer } from "../utils/decodeAudio";
+import { playBuffer } from "../utils/auditionPlayer";
+
+const SLIDERS = [
+  { field: "startFrequency", label: "Start Pitch", min: 40, max: 8000, step: 1, unit: "Hz" },
+  { field: "endFrequency", label: "End Pitch", min: 40, max: 8000, step: 1, unit: "Hz" },
+  { field: "pitchTime", label: "Pitch Time", min: 0, max: 0.5, step: 0.005, unit: "s" },
+  { field: "attack", label: "Attack", min: 0, max: 0.5, step: 0.001, unit: "s" },
+  { field: "decay", label: "Decay", min: 0, max: 1, step: 0.005, unit: "s" },
+  { field: "sustain", label: "Sustain", min: 0, max: 1, step: 0.01, unit: "" },
+  { field: "hold", label: "Hold", min: 0, max: 1, step: 0.01, unit: "s" },
+  { field: "release", label: "Release", min: 0, max: 1.5, step: 0.01, unit: "s" },
+  { field: "noise", label: "Noise", min: 0, max: 1, step: 0.01, unit: "" },
+  { field: "filterFrequency", label: "Filter", min: 100, max: 16000, step: 10, unit: "Hz" },
+  { field: "filterQ", label: "Resonance", min: 0.1, max: 20, step: 0.1, unit: "" },
+  { field: "crushBits", label: "Bit Crush", min: 2, max: 16, step: 1, unit: "bit" },
+  { field: "volume", label: "Volume", min: 0, max: 1, step: 0.01, unit: "" },
+];
+
+const Select = ({ label, value, options, onChange }) => (
+  <label className="block text-xs font-semibold text-accent">
+    {label}
+    <select
+      className="w-full outline-none p-1 mt-1 bg-nightLight text-white text-sm font-normal"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {options.map((option) => (
+        <option key={option.value ?? option} value={option.value ?? option}>{option.label ?? option}</option>
+      ))}
+    </select>
+  </label>
+);
+
+// Generates short UI sounds from an oscillator and/or noise, shaped by a pitch
+// sweep, ADSR envelope, filter and bit crusher. Previews play the exact
+// rendered buffer; "Add" hands a WAV to the slot like an uploaded file.
+const SynthPanel = ({ onAdd, onClose }) => {
+  const [presetId, setPresetId] = useState(SYNTH_PRESETS[0].id);
+  const [settings, setSettings] = useState(() => getPresetSettings(SYNTH_PRESETS[0].id));
+  const [isRendering, setIsRendering] = useState(false);
+  const sourceRef = useRef(null);
+
+  useEffect(() => () => sourceRef.current?.stop(), []);
+
+  const handlePresetChange = (id) => {
+    setPresetId(id);
+    setSettings(getPresetSettings(id));
+  };
+
+  const handleChange = (field, value) => {
+    setSettings((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handlePreview = async () => {
+    sourceRef.current?.stop();
+    const channels = await renderSynth(settings);
+    sourceRef.current = playBuffer(toAudioBuffer(channels, 44100));
+  };
+
+  const handleAdd = async () => {
+    setIsRendering(true);
+    try {
+      await onAdd(settings, presetId);
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  return (
+    <div className="bg-nightMid p-4 mt-2 rounded text-left">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+        <Select
+          label="Preset"
+          value={presetId}
+          options={SYNTH_PRESETS.map(({ id, label }) => ({ value: id, label }))}
+          onChange={handlePresetChange}
+        />
+        <Select label="Waveform" value={settings.waveform} options={WAVEFORMS} onChange={(value) => handleChange("waveform", value)} />
+        <Select label="Pitch Curve" value={settings.pitchCurve} options={PITCH_CURVES} onChange={(value) => handleChange("pitchCurve", value)} />
+        <Select label="Filter Type" value={settings.filterType} options={FILTER_TYPES} onChange={(value) => handleChange("filterType", value)} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1">
+        {SLIDERS.map(({ field, label, min, max, step, unit }) => (
+          <label key={field} className="flex items-center gap-2 text-xs">
+            <span className="w-20 shrink-0 font-semibold text-accent">{label}</span>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[field]}
+              onChange={(e) => handleChange(field, parseFloat(e.target.value))}
+              className="flex-1"
+            />
+            <span className="w-16 text-right">{settings[field]}{unit && ` ${unit}`}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-4">
+        <small className="text-xs">{synthDuration(settings).toFixed(3)}s</small>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-2 bg-nightLight rounded hover:bg-accent hover:text-night text-sm"
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            onClick={handlePreview}
+            className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+          >
+            <PlayIcon className="h-4 w-4" />
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={isRendering}
+            className="bg-accent text-night p-2 rounded hover:bg-accentMid flex items-center gap-1 text-sm disabled:opacity-50"
+          >
+            <PlusIcon className="h-4 w-4" />
+            Add to Slot
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SynthPanel;
@@ -0,0 +1,250 @@
+import { useState, useEffect, useRef } from "react";
+import { PlayIcon, StopIcon, ArrowPathIcon } from "@heroicons/react/24/outline";
+import { decodeAudioFile, getAudioContext, toAudioBuffer } from "../utils/decodeAudio";
+import { applyEdits, defaultEdits, FADE_CURVES, MIN_GAIN, MAX_GAIN } from "../utils/audioEdits";
+import { computePeaks } from "../utils/visualization";
+
+const WAVEFORM_WIDTH = 480;
+const WAVEFORM_HEIGHT = 96;
+const HANDLE_GRAB_DISTANCE = 0.03; // Fraction of the waveform width
+
+const FADE_CURVE_LABELS = {
+  linear: "Linear",
+  exponential: "Exponential",
+  logarithmic: "Logarithmic",
+  equalPower: "Equal Power",
+};
+
+const drawWaveform = (canvas, peaks, duration, edits) => {
+  const ctx = canvas.getContext("2d");
+  const middle = WAVEFORM_HEIGHT / 2;
+  const end = edits.end ?? duration;
+  const toX = (time) => (time / duration) * WAVEFORM_WIDTH;
+  const curve = FADE_CURVES[edits.fadeCurve] || FADE_CURVES.linear;
+
+  ctx.clearRect(0, 0, WAVEFORM_WIDTH, WAVEFORM_HEIGHT);
+
+  peaks.forEach(([min, max], x) => {
+    const time = (x / WAVEFORM_WIDTH) * duration;
+    ctx.fillStyle = time >= edits.start && time <= end ? "#15f7ff" : "#26354e";
+    ctx.fillRect(x, middle + min * middle, 1, Math.max(1, (max - min) * middle));
+  });
+
+  // Volume envelope across the trimmed region
+  ctx.strokeStyle = "#FFFFFF";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  const startX = toX(edits.start);
+  const endX = toX(end);
+  for (let x = startX; x <= endX; x++) {
+    const time = (x / WAVEFORM_WIDTH) * duration;
+    let level = 1;
+    if (edits.fadeIn > 0 && time - edits.start < edits.fadeIn) {
+      level *= curve((time - edits.start) / edits.fadeIn);
+    }
+    if (edits.fadeOut > 0 && end - time < edits.fadeOut) {
+      level *= curve((end - time) / edits.fadeOut);
+    }
+    const y = WAVEFORM_HEIGHT - level * (WAVEFORM_HEIGHT - 4) - 2;
+    if (x === startX) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+
+  // Trim handles
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillRect(startX - 1, 0, 3, WAVEFORM_HEIGHT);
+  ctx.fillRect(endX - 2, 0, 3, WAVEFORM_HEIGHT);
+};
+
+const TrackEditor = ({ file, edits = defaultEdits, onChange }) => {
+  const canvasRef = useRef(null);
+  const sourceRef = useRef(null);
+  const [audioBuffer, setAudioBuffer] = useState(null);
+  const [peaks, setPeaks] = useState([]);
+  const [error, setError] = useState("");
+  const [dragging, setDragging] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const duration = audioBuffer?.duration || 0;
+  const end = edits.end ?? duration;
+
+  useEffect(() => {
+    let cancelled = false;
+    decodeAudioFile(file)
+      .then((decoded) => {
+        if (cancelled) return;
+        setAudioBuffer(decoded);
+        setPeaks(computePeaks(decoded, WAVEFORM_WIDTH));
+      })
+      .catch(() => !cancelled && setError("This file could not be decoded for editing."));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  useEffect(() => {
+    if (canvasRef.current && audioBuffer) {
+      drawWaveform(canvasRef.current, peaks, duration, edits);
+    }
+  }, [audioBuffer, peaks, duration, edits]);
+
+  useEffect(() => () => sourceRef.current?.stop(), []);
+
+  const updateEdits = (changes) => onChange({ ...edits, ...changes });
+
+  const timeFromPointer = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const position = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    return position * duration;
+  };
+
+  const handlePointerDown = (e) => {
+    if (!audioBuffer) return;
+    const time = timeFromPointer(e);
+    const grabDistance = HANDLE_GRAB_DISTANCE * duration;
+    const startDistance = Math.abs(time - edits.start);
+    const endDistance = Math.abs(time - end);
+
+    if (Math.min(startDistance, endDistance) > grabDistance) return;
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(startDistance <= endDistance ? "start" : "end");
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragging) return;
+    const time = timeFromPointer(e);
+
+    if (dragging === "start") {
+      updateEdits({ start: Math.min(time, end - 0.01) });
+    } else {
+      const newEnd = Math.max(time, edits.start + 0.01);
+      updateEdits({ end: newEnd >= duration ? null : newEnd });
+    }
+  };
+
+  const handlePointerUp = () => setDragging(null);
+
+  const togglePreview = () => {
+    if (isPlaying) {
+      sourceRef.current?.stop();
+      return;
+    }
+
+    const audioContext = getAudioContext();
+    const preview = toAudioBuffer(applyEdits(audioBuffer, edits), audioBuffer.sampleRate);
+
+    const source = audioContext.createBufferSource();
+    source.buffer = preview;
+    source.connect(audioContext.destination);
+    source.onended = () => setIsPlaying(false);
+    source.start();
+    sourceRef.current = source;
+    setIsPlaying(true);
+  };
+
+  if (error) {
+    return <p className="text-sm text-left border-l-red-600 border-l-4 pl-2 mt-2">{error}</p>;
+  }
+
+  if (!audioBuffer) {
+    return <p className="text-sm text-left mt-2">Loading waveform…</p>;
+  }
+
+  const trimmedLength = end - edits.start;
+
+  return (
+    <div className="mt-3 bg-night p-3 rounded text-left">
+      <canvas
+        ref={canvasRef}
+        width={WAVEFORM_WIDTH}
+        height={WAVEFORM_HEIGHT}
+        className="w-full h-24 bg-nightMid rounded cursor-ew-resize touch-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      />
+      <div className="flex justify-between text-xs text-accentLight mt-1">
+        <span>Start {edits.start.toFixed(2)}s</span>
+        <span>Length {trimmedLength.toFixed(2)}s</span>
+        <span>End {end.toFixed(2)}s</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mt-3">
+        <div>
+          <label className="block text-xs font-semibold text-accent">Fade In ({edits.fadeIn.toFixed(2)}s)</label>
+          <input
+            type="range"
+            min="0"
+            max={trimmedLength}
+            step="0.01"
+            value={edits.fadeIn}
+            onChange={(e) => updateEdits({ fadeIn: parseFloat(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-semibold text-accent">Fade Out ({edits.fadeOut.toFixed(2)}s)</label>
+          <input
+            type="range"
+            min="0"
+            max={trimmedLength}
+            step="0.01"
+            value={edits.fadeOut}
+            onChange={(e) => updateEdits({ fadeOut: parseFloat(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-semibold text-accent">Fade Curve</label>
+          <select
+            className="w-full outline-none p-1 bg-nightLight text-white mt-1 text-sm"
+            value={edits.fadeCurve}
+            onChange={(e) => updateEdits({ fadeCurve: e.target.value })}
+          >
+            {Object.keys(FADE_CURVES).map((curve) => (
+              <option key={curve} value={curve}>{FADE_CURVE_LABELS[curve]}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-semibold text-accent">Gain ({edits.gain > 0 ? "+" : ""}{edits.gain.toFixed(1)} dB)</label>
+          <input
+            type="range"
+            min={MIN_GAIN}
+            max={MAX_GAIN}
+            step="0.5"
+            value={edits.gain}
+            onChange={(e) => updateEdits({ gain: parseFloat(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2 mt-3">
+        <button
+          type="button"
+          onClick={() => onChange(defaultEdits)}
+          className="bg-nightLight text-white p-2 rounded hover:bg-accent hover:text-night flex items-center gap-1 text-sm"
+        >
+          <ArrowPathIcon className="h-4 w-4" />
+          Reset
+        </button>
+        <button
+          type="button"
+          onClick={togglePreview}
+          className={`p-2 rounded flex items-center gap-1 text-sm ${
+            isPlaying ? "bg-accent text-night" : "bg-nightLight text-white hover:bg-accent hover:text-night"
+          }`}
+        >
+          {isPlaying ? <StopIcon className="h-4 w-4" /> : <PlayIcon className="h-4 w-4" />}
+          Preview Edit
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TrackEditor;
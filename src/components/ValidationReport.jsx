@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { ExclamationCircleIcon, ExclamationTriangleIcon } from "@heroicons/react/24/outline";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+
+const IssueList = ({ issues, icon: Icon, iconClassName }) => (
+  <ul className="list-none text-sm">
+    {issues.map(({ slot, track, message }, index) => (
+      <li key={index} className="flex items-start gap-2 py-2 border-b border-nightLight">
+        <Icon className={`h-5 w-5 shrink-0 ${iconClassName}`} />
+        <div>
+          {(slot || track) && (
+            <small className="block text-xs text-accent">
+              {[slot, track].filter(Boolean).join(" › ")}
+            </small>
+          )}
+          {message}
+        </div>
+      </li>
+    ))}
+  </ul>
+);
+
+const ValidationReport = ({ report, onClose, onExport }) => {
+  const dialogRef = useFocusTrap(onClose);
+  const [acknowledged, setAcknowledged] = useState(false);
+  const { errors, warnings } = report;
+  const canExport = errors.length === 0 && (warnings.length === 0 || acknowledged);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-nightMid p-6 rounded-md shadow-lg text-white max-w-lg w-full max-h-[80vh] flex flex-col"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-4">Pack Validation</h3>
+
+        <div className="overflow-y-auto flex-1 text-left">
+          {errors.length > 0 && (
+            <>
+              <h4 className="font-semibold text-red-500">{errors.length} Error(s) — must be fixed before export</h4>
+              <IssueList issues={errors} icon={ExclamationCircleIcon} iconClassName="text-red-500" />
+            </>
+          )}
+
+          {warnings.length > 0 && (
+            <>
+              <h4 className="font-semibold text-yellow-400 mt-4">{warnings.length} Warning(s)</h4>
+              <IssueList issues={warnings} icon={ExclamationTriangleIcon} iconClassName="text-yellow-400" />
+            </>
+          )}
+        </div>
+
+        {errors.length === 0 && warnings.length > 0 && (
+          <div className="flex items-center gap-2 mt-4">
+            <input
+              id="validation-acknowledge"
+              type="checkbox"
+              checked={acknowledged}
+              onChange={(e) => setAcknowledged(e.target.checked)}
+            />
+            <label htmlFor="validation-acknowledge" className="text-sm">I understand these warnings</label>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-4 mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-nightLight rounded hover:bg-accent hover:text-night transition"
+          >
+            Close
+          </button>
+          <button
+            onClick={onExport}
+            disabled={!canExport}
+            className="px-4 py-2 text-night bg-accent rounded hover:bg-accentMid transition disabled:opacity-50"
+          >
+            Export Anyway
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,73 @@
+import { useState, useRef, useEffect } from "react";
+import { ArrowsRightLeftIcon } from "@heroicons/react/24/outline";
+import { MAX_PITCH_VARIATION, pickVariant, randomPlaybackRate } from "../utils/variants";
+import { loadTrackBuffer, playBuffer } from "../utils/auditionPlayer";
+
+// Slot-wide variant settings plus a "play random" button that runs the same
+// selection logic a supporting loader would, so repeats and weights can be heard
+const VariantControls = ({ slot, tracks, settings, onSettingsChange }) => {
+  const [lastPlayed, setLastPlayed] = useState(null);
+  const previousIndex = useRef(null);
+  const sourceRef = useRef(null);
+
+  useEffect(() => () => sourceRef.current?.stop(), []);
+
+  const handlePlayRandom = async () => {
+    const index = pickVariant(tracks, settings, previousIndex.current);
+    if (index === null) return;
+    previousIndex.current = index;
+
+    const rate = randomPlaybackRate(settings);
+    sourceRef.current?.stop();
+    const source = playBuffer(await loadTrackBuffer(tracks[index]));
+    source.playbackRate.value = rate;
+    sourceRef.current = source;
+    setLastPlayed({ name: tracks[index].name, rate });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2 text-sm">
+      <button
+        type="button"
+        onClick={handlePlayRandom}
+        className="bg-nightLight text-white py-1 px-3 rounded hover:bg-accent hover:text-night flex items-center gap-1"
+      >
+        <ArrowsRightLeftIcon className="h-4 w-4" />
+        Play random
+      </button>
+
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={settings.avoid_repeat}
+          onChange={(e) => onSettingsChange("avoid_repeat", e.target.checked)}
+        />
+        Avoid immediate repeat
+      </label>
+
+      <label htmlFor={`pitch-variation-${slot}`} className="flex items-center gap-2">
+        Pitch ±
+        <input
+          id={`pitch-variation-${slot}`}
+          type="number"
+          min={0}
+          max={MAX_PITCH_VARIATION}
+          step={0.5}
+          value={settings.pitch_variation}
+          onChange={(e) => onSettingsChange("pitch_variation", Math.min(Math.max(parseFloat(e.target.value) || 0, 0), MAX_PITCH_VARIATION))}
+          className="w-16 outline-none p-1 bg-nightLight text-white"
+        />
+        semitones
+      </label>
+
+      {lastPlayed && (
+        <small className="text-xs text-accentLight w-full">
+          Played {lastPlayed.name}
+          {settings.pitch_variation > 0 && ` at ${lastPlayed.rate.toFixed(2)}× speed`}
+        </small>
+      )}
+    </div>
+  );
+};
+
+export default VariantControls;
@@ -0,0 +1,117 @@
+import { useState, useEffect, useRef } from "react";
+import { getWaveform, getSpectrogram } from "../utils/visualization";
+
+const drawPeaks = (ctx, peaks, width, height) => {
+  const middle = height / 2;
+  ctx.fillStyle = "#15f7ff";
+  peaks.forEach(([min, max], x) => {
+    ctx.fillRect(x, middle + min * middle, 1, Math.max(1, (max - min) * middle));
+  });
+};
+
+const drawSpectrogram = (ctx, columns, width, height) => {
+  const image = ctx.createImageData(width, height);
+  columns.forEach((magnitudes, x) => {
+    for (let y = 0; y < height; y++) {
+      // Low frequencies at the bottom
+      const bin = Math.floor(((height - 1 - y) / height) * magnitudes.length);
+      const level = magnitudes[bin];
+      const index = (y * width + x) * 4;
+      image.data[index] = 21 * level;
+      image.data[index + 1] = 247 * level;
+      image.data[index + 2] = 255 * level;
+      image.data[index + 3] = 255;
+    }
+  });
+  ctx.putImageData(image, 0, 0);
+};
+
+// Waveform (or spectrogram) thumbnail that also works as a click-to-seek scrubber.
+// Decoding waits until the thumbnail scrolls into view, since a pack can hold
+// dozens of files. `file` may be a Blob or a function that resolves to one.
+const WaveformScrubber = ({ file, currentTime, duration, onSeek, view = "waveform", width = 240, height = 40, className = "" }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [status, setStatus] = useState("idle");
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setIsVisible(true);
+        observer.disconnect();
+      }
+    });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!isVisible || !file) return;
+    let cancelled = false;
+    setStatus("loading");
+
+    Promise.resolve(typeof file === "function" ? file() : file)
+      .then((blob) => (view === "spectrogram" ? getSpectrogram(blob, width) : getWaveform(blob, width)))
+      .then((data) => {
+        if (cancelled || !canvasRef.current) return;
+        const ctx = canvasRef.current.getContext("2d");
+        ctx.clearRect(0, 0, width, height);
+        if (view === "spectrogram") {
+          drawSpectrogram(ctx, data.columns, width, height);
+        } else {
+          drawPeaks(ctx, data.peaks, width, height);
+        }
+        setStatus("ready");
+      })
+      .catch(() => !cancelled && setStatus("error"));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isVisible, file, view, width, height]);
+
+  const handleClick = (e) => {
+    if (!duration) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    onSeek(position * duration);
+  };
+
+  // Arrow keys (and the gamepad's left/right) seek in 5% steps
+  const handleKeyDown = (e) => {
+    if (!duration || (e.key !== "ArrowLeft" && e.key !== "ArrowRight")) return;
+    e.preventDefault();
+    const step = (e.key === "ArrowRight" ? 0.05 : -0.05) * duration;
+    onSeek(Math.min(Math.max(currentTime + step, 0), duration));
+  };
+
+  const progress = duration ? Math.min(currentTime / duration, 1) * 100 : 0;
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative bg-night rounded cursor-pointer overflow-hidden ${className}`}
+      style={{ height }}
+      onClick={handleClick}
+      onKeyDown={handleKeyDown}
+      tabIndex={duration ? 0 : -1}
+      role="slider"
+      aria-label="Playback position"
+      aria-valuemin={0}
+      aria-valuemax={Math.round(duration || 0)}
+      aria-valuenow={Math.round(currentTime || 0)}
+    >
+      <canvas ref={canvasRef} width={width} height={height} className="w-full h-full" />
+      {status !== "ready" && (
+        <div className="absolute inset-0 flex items-center justify-center text-xs text-accentLight">
+          {status === "error" ? "No preview" : ""}
+        </div>
+      )}
+      <div className="absolute inset-y-0 left-0 bg-white/20 pointer-events-none" style={{ width: `${progress}%` }} />
+      <div className="absolute inset-y-0 w-0.5 bg-white pointer-events-none" style={{ left: `${progress}%` }} />
+    </div>
+  );
+};
+
+export default WaveformScrubber;
@@ -0,0 +1,66 @@
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type=hidden])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+// Visible, enabled elements that can take focus inside `root`
+export const getFocusable = (root) =>
+  [...root.querySelectorAll(FOCUSABLE)].filter((element) =>
+    !element.closest("[hidden]") && element.getClientRects().length > 0
+  );
+
+// Keeps Tab focus inside a modal while it's open, closes it on Escape (which
+// the gamepad's B button also sends) and returns focus to whatever was
+// focused before it opened. Returns the ref for the dialog element.
+export const useFocusTrap = (onEscape) => {
+  const ref = useRef(null);
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  }, [onEscape]);
+
+  useEffect(() => {
+    const dialog = ref.current;
+    const previousFocus = document.activeElement;
+    (getFocusable(dialog)[0] || dialog).focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        onEscapeRef.current?.();
+        return;
+      }
+      if (e.key !== "Tab") return;
+
+      const focusable = getFocusable(dialog);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    dialog.addEventListener("keydown", handleKeyDown);
+    return () => {
+      dialog.removeEventListener("keydown", handleKeyDown);
+      previousFocus?.focus?.();
+    };
+  }, []);
+
+  return ref;
+};
@@ -0,0 +1,224 @@
+import { useState, useEffect, useRef } from "react";
+import { getFocusable } from "./useFocusTrap";
+
+// Button indices of the browser's "standard" gamepad mapping, which Steam
+// Input presents the Deck's controls as
+const BUTTONS = { a: 0, b: 1, lb: 4, rb: 5, up: 12, down: 13, left: 14, right: 15 };
+const STICK_THRESHOLD = 0.5;
+const REPEAT_DELAY_MS = 400;
+const REPEAT_INTERVAL_MS = 120;
+
+export const SECTION_ATTRIBUTE = "data-gamepad-section";
+
+// The topmost open dialog, or the whole page
+const getScope = () => [...document.querySelectorAll('[aria-modal="true"]')].pop() || document.body;
+
+const center = (rect) => ({ x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 });
+
+// The nearest element in `direction`, favouring ones in line with `current`
+const findInDirection = (elements, current, direction) => {
+  const origin = center(current.getBoundingClientRect());
+  let best = null;
+  let bestScore = Infinity;
+
+  elements.forEach((element) => {
+    if (element === current) return;
+    const target = center(element.getBoundingClientRect());
+    const dx = target.x - origin.x;
+    const dy = target.y - origin.y;
+    const [along, across] = {
+      up: [-dy, dx],
+      down: [dy, dx],
+      left: [-dx, dy],
+      right: [dx, dy],
+    }[direction];
+    if (along <= 1) return;
+
+    const score = along + Math.abs(across) * 2;
+    if (score < bestScore) {
+      best = element;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// React tracks input values itself, so programmatic changes go through the
+// native setter and a synthetic input event for onChange to fire
+const setNativeValue = (element, value) => {
+  const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), "value").set;
+  setter.call(element, value);
+  element.dispatchEvent(new Event(element.tagName === "SELECT" ? "change" : "input", { bubbles: true }));
+};
+
+// Left/right changes selects, number inputs and sliders instead of moving focus
+const adjustValue = (element, step) => {
+  if (element.tagName === "SELECT") {
+    const index = Math.min(Math.max(element.selectedIndex + step, 0), element.options.length - 1);
+    if (index === element.selectedIndex) return false;
+    setNativeValue(element, element.options[index].value);
+    return true;
+  }
+  if (element.matches('input[type="range"], input[type="number"]')) {
+    const before = element.value;
+    if (step > 0) element.stepUp();
+    else element.stepDown();
+    const after = element.value;
+    element.value = before;
+    if (after === before) return false;
+    setNativeValue(element, after);
+    return true;
+  }
+  if (element.getAttribute("role") === "slider") {
+    element.dispatchEvent(new KeyboardEvent("keydown", { key: step > 0 ? "ArrowRight" : "ArrowLeft", bubbles: true }));
+    return true;
+  }
+  return null;
+};
+
+const focusElement = (element) => {
+  element.focus({ preventScroll: true });
+  element.scrollIntoView({ block: "nearest", behavior: "smooth" });
+};
+
+// Drives the page with a gamepad: D-pad or left stick moves focus spatially,
+// A activates, B sends Escape (closing dialogs), the bumpers jump between
+// elements marked with SECTION_ATTRIBUTE. `onFeedback(kind)` is called with
+// "move", "activate", "back", "section" or "edge" so the UI can play sounds.
+// While a gamepad is in use, <html> gets the "gamepad-mode" class, which
+// shows the focus ring; any mouse movement hides it again.
+export const useGamepadNavigation = ({ onFeedback } = {}) => {
+  const [connected, setConnected] = useState(false);
+  const onFeedbackRef = useRef(onFeedback);
+
+  useEffect(() => {
+    onFeedbackRef.current = onFeedback;
+  }, [onFeedback]);
+
+  useEffect(() => {
+    const hasGamepad = () => [...(navigator.getGamepads?.() || [])].some(Boolean);
+    const handleConnection = () => setConnected(hasGamepad());
+    const handlePointer = () => document.documentElement.classList.remove("gamepad-mode");
+
+    handleConnection();
+    window.addEventListener("gamepadconnected", handleConnection);
+    window.addEventListener("gamepaddisconnected", handleConnection);
+    window.addEventListener("pointermove", handlePointer);
+    return () => {
+      window.removeEventListener("gamepadconnected", handleConnection);
+      window.removeEventListener("gamepaddisconnected", handleConnection);
+      window.removeEventListener("pointermove", handlePointer);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!connected) return;
+
+    const held = {};
+    let frame = null;
+    const feedback = (kind) => onFeedbackRef.current?.(kind);
+
+    const move = (direction) => {
+      const current = document.activeElement;
+      const scope = getScope();
+      const elements = getFocusable(scope);
+
+      if (!current || current === document.body || !scope.contains(current)) {
+        if (elements[0]) {
+          focusElement(elements[0]);
+          feedback("move");
+        }
+        return;
+      }
+
+      if (direction === "left" || direction === "right") {
+        const adjusted = adjustValue(current, direction === "right" ? 1 : -1);
+        if (adjusted !== null) {
+          feedback(adjusted ? "move" : "edge");
+          return;
+        }
+      }
+
+      const next = findInDirection(elements, current, direction);
+      if (next) {
+        focusElement(next);
+        feedback("move");
+      } else {
+        feedback("edge");
+      }
+    };
+
+    const jumpSection = (step) => {
+      const sections = [...document.querySelectorAll(`[${SECTION_ATTRIBUTE}]`)];
+      if (sections.length === 0) return;
+      const current = sections.findIndex((section) => section.contains(document.activeElement));
+      const next = sections[current === -1 ? (step > 0 ? 0 : sections.length - 1) : current + step];
+      if (!next) {
+        feedback("edge");
+        return;
+      }
+      const target = getFocusable(next)[0] || next;
+      focusElement(target);
+      feedback("section");
+    };
+
+    const actions = {
+      up: () => move("up"),
+      down: () => move("down"),
+      left: () => move("left"),
+      right: () => move("right"),
+      a: () => {
+        const current = document.activeElement;
+        if (!current || current === document.body) return;
+        current.click();
+        feedback("activate");
+      },
+      b: () => {
+        (document.activeElement || document.body).dispatchEvent(
+          new KeyboardEvent("keydown", { key: "Escape", bubbles: true })
+        );
+        feedback("back");
+      },
+      lb: () => jumpSection(-1),
+      rb: () => jumpSection(1),
+    };
+
+    // Fires once on press, then repeats while held (for the directions)
+    const press = (name, isDown, now) => {
+      if (!isDown) {
+        delete held[name];
+        return;
+      }
+      const repeats = ["up", "down", "left", "right"].includes(name);
+      if (!held[name]) {
+        held[name] = now + REPEAT_DELAY_MS;
+      } else if (repeats && now >= held[name]) {
+        held[name] = now + REPEAT_INTERVAL_MS;
+      } else {
+        return;
+      }
+      document.documentElement.classList.add("gamepad-mode");
+      actions[name]();
+    };
+
+    const poll = (now) => {
+      const pads = [...navigator.getGamepads()].filter(Boolean);
+      const isDown = (name) => pads.some((pad) => pad.buttons[BUTTONS[name]]?.pressed);
+      const axis = (index) => pads.reduce((value, pad) => (Math.abs(pad.axes[index] || 0) > Math.abs(value) ? pad.axes[index] : value), 0);
+
+      press("up", isDown("up") || axis(1) < -STICK_THRESHOLD, now);
+      press("down", isDown("down") || axis(1) > STICK_THRESHOLD, now);
+      press("left", isDown("left") || axis(0) < -STICK_THRESHOLD, now);
+      press("right", isDown("right") || axis(0) > STICK_THRESHOLD, now);
+      ["a", "b", "lb", "rb"].forEach((name) => press(name, isDown(name), now));
+
+      frame = requestAnimationFrame(poll);
+    };
+
+    frame = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frame);
+  }, [connected]);
+
+  return { connected };
+};
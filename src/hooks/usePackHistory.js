@@ -0,0 +1,88 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 1000;
+
+const collectUrls = (snapshots) =>
+  new Set(snapshots.flatMap(({ config }) => Object.values(config).flat().map((track) => track.url)));
+
+const revokeUnused = (dropped, kept) => {
+  const inUse = collectUrls(kept);
+  collectUrls(dropped).forEach((url) => !inUse.has(url) && URL.revokeObjectURL(url));
+};
+
+// Snapshot-based undo/redo for the pack. Call `checkpoint(label)` right before a
+// user action changes `config` or `packInfo`; repeated checkpoints with the same
+// label in quick succession (typing, dragging a slider) collapse into one step.
+// Object URLs stay alive while any snapshot still references them.
+export const usePackHistory = (config, packInfo, setConfig, setPackInfo) => {
+  const history = useRef({ past: [], future: [], lastLabel: null, lastTime: 0 });
+  const latest = useRef({ config, packInfo });
+  const [, setRevision] = useState(0);
+
+  useEffect(() => {
+    latest.current = { config, packInfo };
+  }, [config, packInfo]);
+
+  const checkpoint = useCallback((label) => {
+    const state = history.current;
+    const now = Date.now();
+
+    if (label === state.lastLabel && now - state.lastTime < COALESCE_MS) {
+      state.lastTime = now;
+      return;
+    }
+
+    const dropped = state.future;
+    state.past = [...state.past, { ...latest.current, label }];
+    state.future = [];
+    if (state.past.length > HISTORY_LIMIT) {
+      dropped.push(...state.past.splice(0, state.past.length - HISTORY_LIMIT));
+    }
+    state.lastLabel = label;
+    state.lastTime = now;
+
+    revokeUnused(dropped, [...state.past, latest.current]);
+    setRevision((revision) => revision + 1);
+  }, []);
+
+  const restore = useCallback((from, to) => {
+    const state = history.current;
+    if (state[from].length === 0) return;
+
+    const snapshot = state[from][state[from].length - 1];
+    state[from] = state[from].slice(0, -1);
+    state[to] = [...state[to], { ...latest.current, label: snapshot.label }];
+    state.lastLabel = null;
+
+    latest.current = { config: snapshot.config, packInfo: snapshot.packInfo };
+    setConfig(snapshot.config);
+    setPackInfo(snapshot.packInfo);
+    setRevision((revision) => revision + 1);
+  }, [setConfig, setPackInfo]);
+
+  const undo = useCallback(() => restore("past", "future"), [restore]);
+  const redo = useCallback(() => restore("future", "past"), [restore]);
+
+  // Forget everything, e.g. when switching to another project
+  const reset = useCallback(() => {
+    const { past, future } = history.current;
+    const dropped = [...past, ...future];
+    history.current = { past: [], future: [], lastLabel: null, lastTime: 0 };
+    revokeUnused(dropped, []);
+    setRevision((revision) => revision + 1);
+  }, []);
+
+  const { past, future } = history.current;
+
+  return {
+    checkpoint,
+    undo,
+    redo,
+    reset,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoLabel: past[past.length - 1]?.label,
+    redoLabel: future[future.length - 1]?.label,
+  };
+};
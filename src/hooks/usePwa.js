@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// Registers the service worker (production builds only) and exposes the
+// install prompt and the "new version available" state it produces.
+export const usePwa = () => {
+  const [installPrompt, setInstallPrompt] = useState(null);
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const updating = useRef(false);
+
+  useEffect(() => {
+    const handleBeforeInstallPrompt = (event) => {
+      event.preventDefault();
+      setInstallPrompt(event);
+    };
+    const handleInstalled = () => setInstallPrompt(null);
+
+    window.addEventListener("beforeinstallprompt", handleBeforeInstallPrompt);
+    window.addEventListener("appinstalled", handleInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", handleBeforeInstallPrompt);
+      window.removeEventListener("appinstalled", handleInstalled);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+    let interval = null;
+    const { serviceWorker } = navigator;
+
+    // Only an update replaces an existing controller; the first install doesn't
+    const trackInstalling = (worker) => {
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && serviceWorker.controller) setWaitingWorker(worker);
+      });
+    };
+
+    // The first install also claims the page, which mustn't trigger a reload
+    const handleControllerChange = () => {
+      if (updating.current) window.location.reload();
+    };
+
+    serviceWorker.register("/sw.js").then((registration) => {
+      if (registration.waiting && serviceWorker.controller) setWaitingWorker(registration.waiting);
+      if (registration.installing) trackInstalling(registration.installing);
+      registration.addEventListener("updatefound", () => trackInstalling(registration.installing));
+      interval = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+    }).catch(() => {});
+
+    serviceWorker.addEventListener("controllerchange", handleControllerChange);
+    return () => {
+      clearInterval(interval);
+      serviceWorker.removeEventListener("controllerchange", handleControllerChange);
+    };
+  }, []);
+
+  const install = useCallback(async () => {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    setInstallPrompt(null);
+  }, [installPrompt]);
+
+  // The page reloads once the new worker takes control
+  const applyUpdate = useCallback(() => {
+    updating.current = true;
+    waitingWorker?.postMessage({ type: "SKIP_WAITING" });
+  }, [waitingWorker]);
+
+  return {
+    canInstall: installPrompt !== null,
+    install,
+    updateAvailable: waitingWorker !== null,
+    applyUpdate,
+  };
+};
@@ -0,0 +1,110 @@
+// The pack rules without React or the DOM: building mappings and pack.json,
+// zipping the audio, reading packs back in and checking them. The web app and
+// the sdeck CLI (cli/sdeck.js) both go through this module, so it only relies
+// on what browsers and Node share (Blob, crypto.subtle). Audio comes in and
+// goes out as Blobs; ZIPs can also be produced as bytes for writing to disk.
+import JSZip from "jszip";
+import { buildPackJson, createEmptyConfig, defaultPackInfo } from "../utils/packManifest";
+import { planExport } from "../utils/exportPlan";
+import { validatePack } from "../utils/validatePack";
+import { writeExportProfile, exportFileName } from "../utils/exportProfiles";
+import { CHANGELOG_FILE, snapshotPlan, diffPacks, buildChangelog } from "../utils/packDiff";
+import { uniqueName } from "../utils/mergePack";
+
+export { buildPackJson, createEmptyConfig, defaultPackInfo, getCatalog, normalizePackInfo } from "../utils/packManifest";
+export { NAMING_STRATEGIES, planExport } from "../utils/exportPlan";
+export { readPackZip, readPackFiles } from "../utils/zipImport";
+export { validatePack } from "../utils/validatePack";
+export { EXPORT_PROFILES, exportFileName } from "../utils/exportProfiles";
+export { snapshotImport } from "../utils/packDiff";
+
+export const createTrack = (name, blob, weight) => ({
+  name,
+  file: blob,
+  url: URL.createObjectURL(blob),
+  size: blob.size,
+  ...(weight !== undefined && { weight }),
+});
+
+// Turns a readPackZip()/readPackFiles() result into a config. `assignments`
+// maps stray file paths to the slot each should go to; strays without one are
+// left out. `packInfo` is null when the pack had no readable pack.json.
+export const configFromImport = (result, assignments = {}) => {
+  const config = createEmptyConfig();
+
+  // A stray assigned next to a mapped file of the same name is renamed, not dropped
+  const addTrack = (slot, name, blob, weight) => {
+    config[slot] = config[slot] || [];
+    const taken = new Set(config[slot].map((track) => track.name));
+    config[slot].push(createTrack(uniqueName(name, taken), blob, weight));
+  };
+
+  for (const slot in result.slots) {
+    config[slot] = config[slot] || [];
+    result.slots[slot].forEach(({ name, blob, weight }) => addTrack(slot, name, blob, weight));
+  }
+
+  result.strays.forEach(({ path, name, blob }) => {
+    if (assignments[path]) addTrack(assignments[path], name, blob);
+  });
+
+  return { config, packInfo: result.packInfo };
+};
+
+// Strays go to the slot their file name suggests, as the import dialog proposes
+export const suggestedAssignments = (result) =>
+  Object.fromEntries(result.strays.filter((stray) => stray.suggestedSlot).map((stray) => [stray.path, stray.suggestedSlot]));
+
+// pack.json exactly as the AudioLoader export writes it
+export const buildManifest = async (config, packInfo, naming = "keep", output) => {
+  const { mappings } = await planExport(config, packInfo, naming, output);
+  return buildPackJson(config, packInfo, mappings);
+};
+
+// Builds the export ZIP for a profile. Pass `plan` to reuse one that was
+// already validated, and `baseline` (a snapshotImport() of the previous
+// release) to include a changelog. `output` is the conversion settings edits
+// are rendered with. `type` is any JSZip output type.
+export const buildPackZip = async (config, packInfo, { profile = "audioloader", naming = "keep", output, plan, baseline, type = "blob" } = {}) => {
+  const exportPlan = plan || await planExport(config, packInfo, naming, output);
+  const zip = new JSZip();
+  writeExportProfile(zip, profile, { config, packInfo, plan: exportPlan });
+
+  if (baseline) {
+    const current = snapshotPlan(packInfo, exportPlan);
+    zip.file(CHANGELOG_FILE, buildChangelog(diffPacks(baseline, current), baseline, current));
+  }
+
+  // UNIX attributes keep the Steam UI override's install script executable
+  const data = await zip.generateAsync({ type, platform: "UNIX" });
+  return { data, fileName: exportFileName(packInfo, profile), plan: exportPlan };
+};
+
+// Checks a pack as found (e.g. a downloaded ZIP) rather than as being built:
+// validatePack()'s checks plus the import's findings, such as mapped files
+// that are missing. Takes a readPackZip()/readPackFiles() result.
+export const checkPack = async (result) => {
+  const { config, packInfo } = configFromImport(result);
+  const errors = [];
+  const warnings = [];
+
+  if (!result.packInfo) {
+    errors.push({ message: "The pack has no readable pack.json." });
+  }
+  result.missing.forEach(({ slot, name }) => {
+    errors.push({ slot, track: name, message: "pack.json maps this file, but it isn't in the pack." });
+  });
+  result.unknownSlots.forEach((slot) => {
+    warnings.push({ slot, message: "Not a slot in the catalog. The mapping is kept, but may never play." });
+  });
+  result.strays.forEach(({ path }) => {
+    warnings.push({ track: path, message: "No mapping uses this audio file." });
+  });
+
+  const checkedInfo = packInfo || defaultPackInfo;
+  const report = await validatePack(config, checkedInfo, await planExport(config, checkedInfo));
+  return {
+    errors: [...errors, ...report.errors],
+    warnings: [...warnings, ...report.warnings],
+  };
+};
@@ -0,0 +1,74 @@
+// Service worker for offline use. Built by the precache plugin in
+// vite.config.js, which prepends `self.__PRECACHE_MANIFEST = { version, urls,
+// runtimeUrls }`: the app shell, the built bundles and everything in public/,
+// and the cross-origin ffmpeg core files.
+
+const { version, urls, runtimeUrls } = self.__PRECACHE_MANIFEST;
+const PRECACHE = `sdecktools-precache-${version}`;
+const RUNTIME = "sdecktools-runtime";
+
+// Cross-origin files cached the first time they're fetched: the ffmpeg core
+// (if the install couldn't get it) and the web font
+const RUNTIME_ORIGINS = ["https://unpkg.com", "https://fonts.googleapis.com", "https://fonts.gstatic.com"];
+
+// The runtime cache outlives builds, so the ~30 MB core is only downloaded
+// when it isn't there yet (a new pinned version has new URLs)
+const cacheMissing = async (cacheName, missingUrls) => {
+  const cache = await caches.open(cacheName);
+  const cached = await Promise.all(missingUrls.map((url) => cache.match(url)));
+  await cache.addAll(missingUrls.filter((_, index) => !cached[index]));
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(Promise.all([
+    caches.open(PRECACHE).then((cache) => cache.addAll(urls)),
+    // Not fatal: if unpkg can't be reached the app still works offline, and
+    // the core is cached on the first conversion instead
+    cacheMissing(RUNTIME, runtimeUrls).catch(() => {}),
+  ]));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith("sdecktools-precache-") && key !== PRECACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A new build waits until the page accepts the update, so a pack that is
+// being edited never ends up running against mismatched bundles
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(caches.match("/index.html").then((cached) => cached || fetch(request)));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+  } else if (RUNTIME_ORIGINS.includes(url.origin)) {
+    event.respondWith(cacheFirst(request, RUNTIME));
+  }
+});
@@ -0,0 +1,79 @@
+import { decodeAudioFile } from "./decodeAudio";
+import { encodeWav } from "./wav";
+import { defaultConversionSettings } from "./convertAudio";
+import { conform } from "./effectChain";
+
+// `end: null` means the end of the file
+export const defaultEdits = {
+  start: 0,
+  end: null,
+  fadeIn: 0,
+  fadeOut: 0,
+  fadeCurve: "linear",
+  gain: 0,
+};
+
+export const MIN_GAIN = -24;
+export const MAX_GAIN = 12;
+
+export const clampGain = (gain) => Math.min(Math.max(gain, MIN_GAIN), MAX_GAIN);
+
+export const FADE_CURVES = {
+  linear: (t) => t,
+  exponential: (t) => t * t,
+  logarithmic: (t) => Math.sqrt(t),
+  equalPower: (t) => Math.sin((t * Math.PI) / 2),
+};
+
+export const hasEdits = (edits) =>
+  !!edits &&
+  (edits.start > 0 ||
+    edits.end !== null ||
+    edits.fadeIn > 0 ||
+    edits.fadeOut > 0 ||
+    edits.gain !== 0);
+
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Returns one Float32Array per channel with trim, fades and gain applied
+export const applyEdits = (audioBuffer, edits) => {
+  const { sampleRate, numberOfChannels, length } = audioBuffer;
+  const startSample = Math.min(Math.max(Math.floor(edits.start * sampleRate), 0), length);
+  const endSample = edits.end === null
+    ? length
+    : Math.min(Math.max(Math.ceil(edits.end * sampleRate), startSample), length);
+  const outputLength = endSample - startSample;
+
+  const fadeInSamples = Math.min(Math.floor(edits.fadeIn * sampleRate), outputLength);
+  const fadeOutSamples = Math.min(Math.floor(edits.fadeOut * sampleRate), outputLength);
+  const curve = FADE_CURVES[edits.fadeCurve] || FADE_CURVES.linear;
+  const gain = dbToGain(edits.gain);
+
+  const channels = [];
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const input = audioBuffer.getChannelData(channel);
+    const output = new Float32Array(outputLength);
+
+    for (let i = 0; i < outputLength; i++) {
+      let envelope = gain;
+      if (i < fadeInSamples) {
+        envelope *= curve(i / fadeInSamples);
+      }
+      if (i >= outputLength - fadeOutSamples) {
+        envelope *= curve((outputLength - i) / fadeOutSamples);
+      }
+      output[i] = input[startSample + i] * envelope;
+    }
+    channels.push(output);
+  }
+
+  return channels;
+};
+
+// `output` takes the conversion settings; the decoded buffer is at the audio
+// device's rate, so it is conformed rather than written as decoded
+export const renderEditedFile = async (file, name, edits, output = defaultConversionSettings) => {
+  const audioBuffer = await decodeAudioFile(file);
+  const channels = await conform(applyEdits(audioBuffer, edits), audioBuffer.sampleRate, output);
+  return new File([encodeWav(channels, output.sampleRate, output.bitDepth)], name, { type: "audio/wav" });
+};
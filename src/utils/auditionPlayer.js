@@ -0,0 +1,111 @@
+import { decodeAudioFile, getAudioContext, toAudioBuffer } from "./decodeAudio";
+import { applyEdits, hasEdits } from "./audioEdits";
+import { fetchStockSound } from "./stockSounds";
+import { getVariantSettings, pickVariant, randomPlaybackRate } from "./variants";
+
+// The buffer as it will sound once exported, with trim/fade/gain applied
+export const loadTrackBuffer = async (track) => {
+  const audioBuffer = await decodeAudioFile(track.file);
+  return hasEdits(track.edits)
+    ? toAudioBuffer(applyEdits(audioBuffer, track.edits), audioBuffer.sampleRate)
+    : audioBuffer;
+};
+
+export const loadStockBuffer = async (slot) => decodeAudioFile(await fetchStockSound(slot));
+
+export const playBuffer = (audioBuffer) => {
+  const audioContext = getAudioContext();
+  audioContext.resume();
+  const source = audioContext.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(audioContext.destination);
+  source.start();
+  return source;
+};
+
+// Decodes everything a sequence needs up front so playback timing isn't held
+// up by decoding. Pack slots hold every variant with its track (for the
+// weights) and the slot's variant settings; an ignored slot is silent and an
+// empty one falls back to the stock sound, as on the Deck.
+export const prepareSequence = async (steps, config, packInfo) => {
+  const slots = [...new Set(steps.map((step) => step.slot))];
+  const pack = {};
+  const stock = {};
+
+  await Promise.all(slots.map(async (slot) => {
+    stock[slot] = await loadStockBuffer(slot).catch(() => null);
+
+    if (packInfo.ignore.includes(slot)) {
+      pack[slot] = null;
+    } else if (config[slot]?.length > 0) {
+      const buffers = await Promise.all(config[slot].map((track) => loadTrackBuffer(track).catch(() => null)));
+      const loaded = config[slot].filter((_, index) => buffers[index]);
+      pack[slot] = { tracks: loaded, buffers: buffers.filter(Boolean), settings: getVariantSettings(packInfo, slot) };
+    } else {
+      pack[slot] = stock[slot] && { tracks: [], buffers: [stock[slot]] };
+    }
+  }));
+
+  return { pack, stock };
+};
+
+// Picks the variant the way the loader would: weighted, avoiding repeats and
+// with pitch variation when the slot asks for them. The stock fallback plays as is.
+const pickPackBuffer = (entry, previousPicks, slot) => {
+  if (!entry || entry.buffers.length === 0) return { audioBuffer: null, playbackRate: 1 };
+  if (entry.tracks.length === 0) return { audioBuffer: entry.buffers[0], playbackRate: 1 };
+
+  const index = pickVariant(entry.tracks, entry.settings, previousPicks.get(slot));
+  previousPicks.set(slot, index);
+  return { audioBuffer: entry.buffers[index], playbackRate: randomPlaybackRate(entry.settings) };
+};
+
+// Plays the steps in order. `getSource()` is read at every step so the
+// pack/stock toggle takes effect immediately, mid-sequence.
+export const playSequence = (steps, buffers, getSource, { onStep, onEnd } = {}) => {
+  let timeout = null;
+  let stopped = false;
+  const sources = [];
+  const previousPicks = new Map();
+
+  const playStep = (index) => {
+    if (stopped) return;
+
+    onStep?.(index);
+    const { slot } = steps[index];
+    const { audioBuffer, playbackRate } = getSource() === "stock"
+      ? { audioBuffer: buffers.stock[slot], playbackRate: 1 }
+      : pickPackBuffer(buffers.pack[slot], previousPicks, slot);
+
+    if (audioBuffer) {
+      const source = playBuffer(audioBuffer);
+      source.playbackRate.value = playbackRate;
+      sources.push(source);
+    }
+
+    const next = steps[index + 1];
+    if (next) {
+      timeout = setTimeout(() => playStep(index + 1), next.delay);
+    } else {
+      timeout = setTimeout(() => onEnd?.(), ((audioBuffer?.duration || 0) / playbackRate) * 1000);
+    }
+  };
+
+  if (steps.length > 0) {
+    timeout = setTimeout(() => playStep(0), steps[0].delay);
+  } else {
+    onEnd?.();
+  }
+
+  return () => {
+    stopped = true;
+    clearTimeout(timeout);
+    sources.forEach((source) => {
+      try {
+        source.stop();
+      } catch {
+        // Already finished
+      }
+    });
+  };
+};
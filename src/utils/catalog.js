@@ -0,0 +1,36 @@
+import categories from "../data/categories.json" with { type: "json" };
+
+export const SLOT_FILTERS = [
+  { value: "all", label: "All Slots" },
+  { value: "filled", label: "Only Filled" },
+  { value: "empty", label: "Only Empty" },
+];
+
+const matchesSearch = (item, query) =>
+  [item.title, item.description, item.fileName].some((field) => field.toLowerCase().includes(query));
+
+export const filterCatalog = (catalog, config, search, slotFilter) => {
+  const query = search.trim().toLowerCase();
+
+  return catalog.filter((item) => {
+    const trackCount = config[item.fileName]?.length || 0;
+    if (slotFilter === "filled" && trackCount === 0) return false;
+    if (slotFilter === "empty" && trackCount > 0) return false;
+    return !query || matchesSearch(item, query);
+  });
+};
+
+// Groups catalog entries in the order of categories.json, dropping empty groups.
+// Entries with an unknown category end up in "other".
+export const groupCatalog = (catalog) => {
+  const knownIds = new Set(categories.map((category) => category.id));
+
+  return categories
+    .map((category) => ({
+      ...category,
+      items: catalog.filter((item) =>
+        knownIds.has(item.category) ? item.category === category.id : category.id === "other"
+      ),
+    }))
+    .filter((group) => group.items.length > 0);
+};
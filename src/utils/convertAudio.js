@@ -0,0 +1,112 @@
+import { FFmpeg } from "@ffmpeg/ffmpeg";
+import { fetchFile, toBlobURL } from "@ffmpeg/util";
+import { FFMPEG_CORE_URL, FFMPEG_WASM_URL } from "./ffmpegCore";
+
+// Matches the stock sounds in public/sounds (44.1 kHz, 16-bit stereo PCM)
+export const defaultConversionSettings = {
+  sampleRate: 44100,
+  bitDepth: 16,
+  channels: 2,
+  reencodeWav: false,
+};
+
+export const SAMPLE_RATES = [22050, 44100, 48000];
+export const BIT_DEPTHS = [16, 24, 32];
+export const CHANNEL_OPTIONS = [
+  { value: 1, label: "Mono" },
+  { value: 2, label: "Stereo" },
+];
+
+const PCM_CODECS = {
+  16: "pcm_s16le",
+  24: "pcm_s24le",
+  32: "pcm_f32le",
+};
+
+// Lossy targets for slots whose catalog entry isn't WAV
+const ENCODERS = {
+  mp3: ["-c:a", "libmp3lame", "-b:a", "192k"],
+  m4a: ["-c:a", "aac", "-b:a", "192k"],
+  ogg: ["-c:a", "libvorbis", "-q:a", "6"],
+};
+
+let ffmpegPromise = null;
+let queue = Promise.resolve();
+
+const getFFmpeg = () => {
+  if (!ffmpegPromise) {
+    ffmpegPromise = (async () => {
+      const ffmpeg = new FFmpeg();
+      await ffmpeg.load({
+        coreURL: await toBlobURL(FFMPEG_CORE_URL, "text/javascript"),
+        wasmURL: await toBlobURL(FFMPEG_WASM_URL, "application/wasm"),
+      });
+      return ffmpeg;
+    })().catch((error) => {
+      // Allow a later upload to retry the download
+      ffmpegPromise = null;
+      throw error;
+    });
+  }
+  return ffmpegPromise;
+};
+
+export const hasFormat = (file, format) => file.name.toLowerCase().endsWith(`.${format}`);
+
+export const toFormatName = (name, format) => name.replace(/\.[^./]+$/, "") + `.${format}`;
+
+export const MIME_TYPES = {
+  wav: "audio/wav",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  ogg: "audio/ogg",
+};
+
+const runConversion = async (file, format, settings, onProgress) => {
+  const ffmpeg = await getFFmpeg();
+  const extension = file.name.includes(".") ? file.name.split(".").pop() : "bin";
+  const inputName = `input.${extension}`;
+  const outputName = `output.${format}`;
+  const codecArgs = format === "wav"
+    ? ["-acodec", PCM_CODECS[settings.bitDepth] || PCM_CODECS[16]]
+    : ENCODERS[format];
+
+  if (!codecArgs) {
+    throw new Error(`Converting to .${format} is not supported.`);
+  }
+
+  const handleProgress = ({ progress }) => {
+    onProgress?.(Math.min(Math.max(progress, 0), 1));
+  };
+
+  ffmpeg.on("progress", handleProgress);
+  try {
+    await ffmpeg.writeFile(inputName, await fetchFile(file));
+    const exitCode = await ffmpeg.exec([
+      "-i", inputName,
+      "-vn",
+      ...codecArgs,
+      "-ar", String(settings.sampleRate),
+      "-ac", String(settings.channels),
+      outputName,
+    ]);
+
+    if (exitCode !== 0) {
+      throw new Error(`ffmpeg exited with code ${exitCode}. The file may not contain a readable audio stream.`);
+    }
+
+    const data = await ffmpeg.readFile(outputName);
+    return new File([data], toFormatName(file.name, format), { type: MIME_TYPES[format] });
+  } finally {
+    ffmpeg.off("progress", handleProgress);
+    await ffmpeg.deleteFile(inputName).catch(() => {});
+    await ffmpeg.deleteFile(outputName).catch(() => {});
+  }
+};
+
+// ffmpeg.wasm runs one command at a time, so conversions are queued
+export const convertAudio = (file, format, settings = defaultConversionSettings, onProgress) => {
+  const result = queue.then(() => runConversion(file, format, settings, onProgress));
+  queue = result.catch(() => {});
+  return result;
+};
@@ -0,0 +1,31 @@
+let audioContext = null;
+
+export const getAudioContext = () => {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return audioContext;
+};
+
+// Decoded buffers are cached per File/Blob so each file is only decoded once
+const decodeCache = new WeakMap();
+
+export const decodeAudioFile = (file) => {
+  if (!decodeCache.has(file)) {
+    const decoding = file
+      .arrayBuffer()
+      .then((data) => getAudioContext().decodeAudioData(data))
+      .catch((error) => {
+        decodeCache.delete(file);
+        throw error;
+      });
+    decodeCache.set(file, decoding);
+  }
+  return decodeCache.get(file);
+};
+
+export const toAudioBuffer = (channels, sampleRate) => {
+  const audioBuffer = getAudioContext().createBuffer(channels.length, Math.max(1, channels[0].length), sampleRate);
+  channels.forEach((data, channel) => audioBuffer.copyToChannel(data, channel));
+  return audioBuffer;
+};
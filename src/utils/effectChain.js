@@ -0,0 +1,207 @@
+import { encodeWav } from "./wav";
+import { defaultConversionSettings } from "./convertAudio";
+import { toAudioBuffer } from "./decodeAudio";
+
+// Each effect's parameters and the range its controls allow
+export const EFFECTS = {
+  pitch: {
+    label: "Pitch Shift",
+    params: { semitones: { label: "Semitones", min: -24, max: 24, step: 1, default: 5 } },
+  },
+  stretch: {
+    label: "Time Stretch",
+    params: { factor: { label: "Length", min: 0.25, max: 4, step: 0.05, default: 1.5, unit: "×" } },
+  },
+  lowpass: {
+    label: "Low-pass",
+    params: {
+      frequency: { label: "Cutoff", min: 100, max: 16000, step: 10, default: 2000, unit: "Hz" },
+      q: { label: "Resonance", min: 0.1, max: 20, step: 0.1, default: 1 },
+    },
+  },
+  reverb: {
+    label: "Reverb",
+    params: {
+      decay: { label: "Decay", min: 0.1, max: 5, step: 0.1, default: 1.2, unit: "s" },
+      mix: { label: "Mix", min: 0, max: 1, step: 0.01, default: 0.3 },
+    },
+  },
+  bitcrush: {
+    label: "Bit Crush",
+    params: {
+      bits: { label: "Bits", min: 2, max: 16, step: 1, default: 6, unit: "bit" },
+      downsample: { label: "Downsample", min: 1, max: 32, step: 1, default: 4, unit: "×" },
+    },
+  },
+  reverse: {
+    label: "Reverse",
+    params: {},
+  },
+};
+
+export const createEffect = (type) => ({
+  type,
+  ...Object.fromEntries(Object.entries(EFFECTS[type].params).map(([name, param]) => [name, param.default])),
+});
+
+// Runs planar samples through a node graph built by `connect(context, source)`,
+// which returns the node to send to the destination. `length` is in output
+// samples; the output rate and channel count default to the input's.
+const renderThrough = async (channels, sampleRate, options, connect = (context, source) => source) => {
+  const { length, playbackRate = 1, outputRate = sampleRate, outputChannels = channels.length } = options;
+  const context = new OfflineAudioContext(outputChannels, Math.max(1, Math.ceil(length)), outputRate);
+  const source = context.createBufferSource();
+  source.buffer = toAudioBuffer(channels, sampleRate);
+  source.playbackRate.value = playbackRate;
+  connect(context, source).connect(context.destination);
+  source.start(0);
+
+  const rendered = await context.startRendering();
+  return Array.from({ length: rendered.numberOfChannels }, (_, channel) => rendered.getChannelData(channel));
+};
+
+const GRAIN_SIZE = 1024;
+const SEARCH_RANGE = 512;
+
+// WSOLA time stretch: overlap-adds Hann-windowed grains read at 1/`factor`
+// the output rate, nudging each within SEARCH_RANGE to where it best lines
+// up with the previous grain so the overlaps don't cancel out. The search
+// runs on a mono mix so every channel uses the same grains.
+const stretchChannels = (channels, factor) => {
+  const hop = GRAIN_SIZE / 2;
+  const inputLength = channels[0].length;
+  const outputLength = Math.max(1, Math.round(inputLength * factor));
+  const window = Float32Array.from({ length: GRAIN_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / GRAIN_SIZE));
+  const mono = channels[0].map((_, i) => channels.reduce((sum, data) => sum + data[i], 0));
+  const at = (data, index) => (index >= 0 && index < inputLength ? data[index] : 0);
+
+  const starts = [0];
+  for (let outStart = hop; outStart < outputLength; outStart += hop) {
+    const expected = starts[starts.length - 1] + hop;
+    const nominal = Math.round(outStart / factor);
+    let best = nominal;
+    let bestScore = -Infinity;
+    for (let offset = -SEARCH_RANGE; offset <= SEARCH_RANGE; offset += 2) {
+      const candidate = nominal + offset;
+      let score = 0;
+      for (let i = 0; i < GRAIN_SIZE; i += 4) {
+        score += at(mono, candidate + i) * at(mono, expected + i);
+      }
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    starts.push(best);
+  }
+
+  return channels.map((input) => {
+    const output = new Float32Array(outputLength);
+    starts.forEach((inStart, grain) => {
+      const outStart = grain * hop;
+      for (let i = 0; i < GRAIN_SIZE && outStart + i < outputLength; i++) {
+        // The first half-grain has nothing to overlap with, so it isn't faded in
+        const gain = grain === 0 && i < hop ? 1 : window[i];
+        output[outStart + i] += at(input, inStart + i) * gain;
+      }
+    });
+    return output;
+  });
+};
+
+// Exponentially decaying stereo noise
+const createImpulse = (context, decay) => {
+  const length = Math.max(1, Math.round(decay * context.sampleRate));
+  const impulse = context.createBuffer(2, length, context.sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    const data = impulse.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+    }
+  }
+  return impulse;
+};
+
+const PROCESSORS = {
+  // Resamples to shift the pitch, then stretches back to the original length
+  pitch: async (channels, sampleRate, { semitones }) => {
+    if (semitones === 0) return channels;
+    const rate = Math.pow(2, semitones / 12);
+    const resampled = await renderThrough(channels, sampleRate, { length: channels[0].length / rate, playbackRate: rate });
+    return stretchChannels(resampled, channels[0].length / resampled[0].length);
+  },
+
+  stretch: async (channels, sampleRate, { factor }) => (factor === 1 ? channels : stretchChannels(channels, factor)),
+
+  lowpass: (channels, sampleRate, { frequency, q }) =>
+    renderThrough(channels, sampleRate, { length: channels[0].length }, (context, source) => {
+      const filter = context.createBiquadFilter();
+      filter.type = "lowpass";
+      filter.frequency.value = Math.min(frequency, sampleRate / 2);
+      filter.Q.value = q;
+      return source.connect(filter);
+    }),
+
+  // The output is lengthened so the tail isn't cut off
+  reverb: (channels, sampleRate, { decay, mix }) =>
+    renderThrough(channels, sampleRate, { length: channels[0].length + decay * sampleRate }, (context, source) => {
+      const convolver = context.createConvolver();
+      const dry = context.createGain();
+      const wet = context.createGain();
+      const output = context.createGain();
+      convolver.buffer = createImpulse(context, decay);
+      dry.gain.value = 1 - mix;
+      wet.gain.value = mix;
+      source.connect(dry).connect(output);
+      source.connect(convolver).connect(wet).connect(output);
+      return output;
+    }),
+
+  // Quantizes the samples and holds every nth one for a lo-fi sound
+  bitcrush: async (channels, sampleRate, { bits, downsample }) => {
+    const steps = 2 ** (bits - 1);
+    return channels.map((data) => {
+      const result = new Float32Array(data.length);
+      for (let i = 0; i < data.length; i++) {
+        const held = data[i - (i % downsample)];
+        result[i] = Math.round(held * steps) / steps;
+      }
+      return result;
+    });
+  },
+
+  reverse: async (channels) => channels.map((data) => Float32Array.from(data).reverse()),
+};
+
+// Reverb and resonance can push peaks past full scale; scale back down rather than clip
+const preventClipping = (channels) => {
+  const peak = channels.reduce((max, data) => data.reduce((m, sample) => Math.max(m, Math.abs(sample)), max), 0);
+  if (peak <= 0.99) return channels;
+  return channels.map((data) => data.map((sample) => (sample * 0.99) / peak));
+};
+
+// Applies the effects in order to an AudioBuffer, returning planar samples
+export const applyEffectChain = async (audioBuffer, chain) => {
+  let channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+  for (const effect of chain) {
+    channels = await PROCESSORS[effect.type](channels, audioBuffer.sampleRate, effect);
+  }
+  return preventClipping(channels);
+};
+
+// Resamples and up/down-mixes to the output format (decoded buffers come
+// back at the audio device's rate, not the file's)
+export const conform = (channels, sampleRate, output) => {
+  if (sampleRate === output.sampleRate && channels.length === output.channels) return channels;
+  return renderThrough(channels, sampleRate, {
+    length: (channels[0].length * output.sampleRate) / sampleRate,
+    outputRate: output.sampleRate,
+    outputChannels: output.channels,
+  });
+};
+
+// `output` takes the conversion settings, so processed sounds match uploaded ones
+export const renderEffectFile = async (audioBuffer, chain, name, output = defaultConversionSettings) => {
+  const channels = await conform(await applyEffectChain(audioBuffer, chain), audioBuffer.sampleRate, output);
+  return new File([encodeWav(channels, output.sampleRate, output.bitDepth)], name, { type: "audio/wav" });
+};
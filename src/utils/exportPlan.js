@@ -0,0 +1,101 @@
+import { hasEdits, renderEditedFile } from "./audioEdits";
+import { uniqueName } from "./mergePack";
+import { buildMappings, getSlotFormat } from "./packManifest";
+
+export const NAMING_STRATEGIES = [
+  { value: "keep", label: "Keep file names" },
+  { value: "prefix", label: "Prefix with slot name" },
+  { value: "folders", label: "One folder per slot" },
+];
+
+const slotStem = (slot) => slot.replace(/\.[^./]+$/, "");
+
+// A track imported from a "prefix" export already carries its slot's prefix
+const exportPath = (slot, name, naming) => {
+  if (naming === "prefix") return name.startsWith(`${slotStem(slot)}_`) ? name : `${slotStem(slot)}_${name}`;
+  if (naming === "folders") return `${slotStem(slot)}/${name}`;
+  return name;
+};
+
+// Two FNV-1a passes with different offsets, plus the length. Not collision
+// proof, which is why the planner compares bytes before sharing a file.
+const fingerprint = (bytes) => {
+  let a = 0x811c9dc5;
+  let b = 0x01000193;
+  for (let i = 0; i < bytes.length; i++) {
+    a = Math.imul(a ^ bytes[i], 0x01000193);
+    b = Math.imul(b ^ bytes[i], 0x5bd1e995);
+  }
+  const hex = (value) => (value >>> 0).toString(16).padStart(8, "0");
+  return `fnv-${bytes.length}-${hex(a)}${hex(b)}`;
+};
+
+// SHA-256 where crypto.subtle exists. Insecure origins (e.g. the app served
+// over plain HTTP to a Deck on the LAN) don't have it, and exporting mustn't
+// depend on that, so they get a fingerprint instead.
+export const hashBlob = async (blob) => {
+  const data = await blob.arrayBuffer();
+  if (!globalThis.crypto?.subtle) return fingerprint(new Uint8Array(data));
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+};
+
+const sameBytes = async (a, b) => {
+  if (a.size !== b.size) return false;
+  const [bytesA, bytesB] = await Promise.all([a.arrayBuffer(), b.arrayBuffer()].map((data) => data.then((buffer) => new Uint8Array(buffer))));
+  return bytesA.every((byte, index) => byte === bytesB[index]);
+};
+
+// Works out the ZIP layout before anything is written: every track's exported
+// file (with edits rendered), the path it's stored under and the pack.json
+// mappings that point at those paths. Identical files are stored once, however
+// many slots use them; different files that would share a path are renamed.
+// Edits are rendered in the `output` format (the conversion settings).
+export const planExport = async (config, packInfo, naming = "keep", output) => {
+  const mappings = buildMappings(config, packInfo.music);
+  const files = [];
+  const entries = [];
+  const renamed = [];
+  const failedEdits = [];
+  const filesByHash = new Map();
+  const taken = new Set();
+
+  for (const slot in mappings) {
+    mappings[slot] = [];
+
+    for (const track of config[slot]) {
+      let blob = track.file;
+      if (hasEdits(track.edits) && getSlotFormat(slot) === "wav") {
+        try {
+          blob = await renderEditedFile(track.file, track.name, track.edits, output);
+        } catch (error) {
+          failedEdits.push({ slot, track: track.name, error });
+        }
+      }
+
+      const hash = await hashBlob(blob);
+      const sameHash = filesByHash.get(hash) || [];
+      let path = null;
+      for (const file of sameHash) {
+        if (await sameBytes(file.blob, blob)) {
+          path = file.path;
+          break;
+        }
+      }
+
+      if (!path) {
+        const preferred = exportPath(slot, track.name, naming);
+        path = uniqueName(preferred, taken);
+        if (path !== preferred) renamed.push({ slot, track: track.name, path });
+        taken.add(path);
+        filesByHash.set(hash, [...sameHash, { path, blob }]);
+        files.push({ path, blob });
+      }
+
+      mappings[slot].push(path);
+      entries.push({ slot, track, path, blob, hash });
+    }
+  }
+
+  return { mappings, files, entries, renamed, failedEdits };
+};
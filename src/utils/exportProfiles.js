@@ -0,0 +1,183 @@
+import { buildPackJson, getSlotFormat } from "./packManifest";
+import { uniqueName } from "./mergePack";
+import { encodeWav } from "./wav";
+import { toSafeFileName } from "./format";
+import { trackWeight } from "./variants";
+
+export const EXPORT_PROFILES = [
+  {
+    value: "audioloader",
+    label: "AudioLoader pack",
+    description: "pack.json and the audio files, for the AudioLoader plugin.",
+  },
+  {
+    value: "folders",
+    label: "Folder per slot",
+    description: "Every sound in a folder named after its slot, without a manifest.",
+  },
+  {
+    value: "steamui",
+    label: "Steam UI override",
+    description: "One sound per slot, named like Steam's own, with a script that swaps them into steamui/sounds and back.",
+    sfxOnly: true,
+  },
+];
+
+const OVERRIDE_FOLDER = "sounds";
+const OVERRIDE_SCRIPT = "steamui-sounds.sh";
+
+const slotStem = (slot) => slot.replace(/\.[^./]+$/, "");
+
+// JSZip takes a promise of the bytes, which (unlike a Blob) it can also read under Node
+const addFile = (zip, path, blob) => zip.file(path, blob.arrayBuffer());
+
+// e.g. "My_Pack-v1.2.zip"; the override gets its own suffix so it isn't
+// mistaken for a loader pack
+export const exportFileName = (packInfo, profile) => {
+  const name = toSafeFileName(packInfo.name || "Untitled Pack");
+  const version = toSafeFileName(packInfo.version || "");
+  const suffix = profile === "steamui" ? "-steamui" : "";
+  return `${name}${version && `-${version}`}${suffix}.zip`;
+};
+
+// The variant most likely to play in the loader; the first one on a tie
+const chooseOverrideVariant = (entries) =>
+  entries.reduce((best, entry) => (trackWeight(entry.track) > trackWeight(best.track) ? entry : best));
+
+// Steam has no "ignore", so ignored slots get a short stretch of silence. Only
+// WAV slots can be silenced; the chat sounds are .m4a, which takes ffmpeg.
+const silentWav = () => {
+  const silence = new Float32Array(2205); // 50 ms at 44.1 kHz
+  return new Blob([encodeWav([silence, silence], 44100)], { type: "audio/wav" });
+};
+
+const overrideScript = (fileNames) => `#!/bin/sh
+# Swaps Steam's UI sounds for the ones in the "${OVERRIDE_FOLDER}" folder next to
+# this script, or puts the originals back:
+#
+#   sh ${OVERRIDE_SCRIPT} install
+#   sh ${OVERRIDE_SCRIPT} restore
+#
+# The originals are copied to "backup" on the first install. Steam updates can
+# bring the stock sounds back; run install again afterwards. Set STEAM_DIR if
+# Steam isn't installed in ~/.local/share/Steam.
+set -e
+
+STEAM_DIR="\${STEAM_DIR:-$HOME/.local/share/Steam}"
+TARGET="$STEAM_DIR/steamui/sounds"
+HERE="$(cd "$(dirname "$0")" && pwd)"
+BACKUP="$HERE/backup"
+FILES="${fileNames.join(" ")}"
+
+if [ ! -d "$TARGET" ]; then
+  echo "Steam's sound folder was not found at $TARGET. Set STEAM_DIR to your Steam folder." >&2
+  exit 1
+fi
+
+case "$1" in
+  install)
+    mkdir -p "$BACKUP"
+    for file in $FILES; do
+      if [ ! -e "$BACKUP/$file" ] && [ ! -e "$BACKUP/$file.none" ]; then
+        if [ -f "$TARGET/$file" ]; then
+          cp "$TARGET/$file" "$BACKUP/$file"
+        else
+          touch "$BACKUP/$file.none"
+        fi
+      fi
+      cp "$HERE/${OVERRIDE_FOLDER}/$file" "$TARGET/$file"
+    done
+    echo "Installed ${fileNames.length} sound(s). Restart Steam to hear them."
+    ;;
+  restore)
+    for file in $FILES; do
+      if [ -f "$BACKUP/$file" ]; then
+        cp "$BACKUP/$file" "$TARGET/$file"
+      elif [ -e "$BACKUP/$file.none" ]; then
+        rm -f "$TARGET/$file"
+      fi
+    done
+    echo "Restored Steam's original sounds. Restart Steam to hear them."
+    ;;
+  *)
+    echo "Usage: sh $0 install|restore" >&2
+    exit 1
+    ;;
+esac
+`;
+
+const overrideReadme = (packInfo, chosen, unsilenced) => [
+  `${packInfo.name} ${packInfo.version}`,
+  "",
+  "Replaces Steam's own UI sounds instead of going through a loader plugin.",
+  `Run "sh ${OVERRIDE_SCRIPT} install" in Desktop Mode's terminal, then restart Steam.`,
+  `"sh ${OVERRIDE_SCRIPT} restore" puts the original sounds back.`,
+  "",
+  "Steam plays one file per sound, so one variant was picked for each slot:",
+  ...chosen.map(({ slot, name }) => `  ${slot}: ${name}`),
+  "",
+  ...(unsilenced.length > 0
+    ? [
+      "These slots are silenced in the pack, but only WAV sounds can be silenced here, so Steam keeps playing its own:",
+      ...unsilenced.map((slot) => `  ${slot}`),
+      "",
+    ]
+    : []),
+].join("\n");
+
+const writeAudioLoader = (zip, { config, packInfo, plan }) => {
+  // pack.json points at the planned paths, which may differ from the track names
+  zip.file("pack.json", JSON.stringify(buildPackJson(config, packInfo, plan.mappings), null, 2));
+  plan.files.forEach(({ path, blob }) => addFile(zip, path, blob));
+};
+
+// Each slot gets its own copy, since there's no manifest to share files through
+const writeFolders = (zip, { plan }) => {
+  const taken = new Set();
+  plan.entries.forEach(({ slot, track, blob }) => {
+    const path = uniqueName(`${slotStem(slot)}/${track.name}`, taken);
+    taken.add(path);
+    addFile(zip, path, blob);
+  });
+};
+
+const writeSteamOverride = (zip, { packInfo, plan }) => {
+  const bySlot = {};
+  plan.entries.forEach((entry) => {
+    (bySlot[entry.slot] = bySlot[entry.slot] || []).push(entry);
+  });
+
+  const chosen = [];
+  Object.entries(bySlot).forEach(([slot, entries]) => {
+    if (packInfo.ignore.includes(slot)) return;
+    const { track, blob } = chooseOverrideVariant(entries);
+    addFile(zip, `${OVERRIDE_FOLDER}/${slot}`, blob);
+    chosen.push({ slot, name: track.name });
+  });
+  const unsilenced = [];
+  packInfo.ignore.forEach((slot) => {
+    if (getSlotFormat(slot) !== "wav") {
+      unsilenced.push(slot);
+      return;
+    }
+    addFile(zip, `${OVERRIDE_FOLDER}/${slot}`, silentWav());
+    chosen.push({ slot, name: "(silent)" });
+  });
+
+  zip.file(OVERRIDE_SCRIPT, overrideScript(chosen.map(({ slot }) => slot)), { unixPermissions: "755" });
+  zip.file("README.txt", overrideReadme(packInfo, chosen, unsilenced));
+};
+
+const WRITERS = {
+  audioloader: writeAudioLoader,
+  folders: writeFolders,
+  steamui: writeSteamOverride,
+};
+
+// Fills `zip` with the pack laid out for `profile`, from a planExport() plan
+export const writeExportProfile = (zip, profile, { config, packInfo, plan }) => {
+  if (profile === "steamui" && packInfo.music) {
+    throw new Error("Steam UI overrides only cover sound effects. Choose another export profile for music packs.");
+  }
+  WRITERS[profile](zip, { config, packInfo, plan });
+};
@@ -0,0 +1,6 @@
+// The pinned ffmpeg core, loaded on the first conversion. Kept apart from
+// convertAudio.js so vite.config.js can list it for the service worker.
+const CORE_BASE_URL = "https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm";
+
+export const FFMPEG_CORE_URL = `${CORE_BASE_URL}/ffmpeg-core.js`;
+export const FFMPEG_WASM_URL = `${CORE_BASE_URL}/ffmpeg-core.wasm`;
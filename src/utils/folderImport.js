@@ -0,0 +1,68 @@
+import { matchSlot } from "./slotMatching";
+
+// Anything ffmpeg can decode is accepted and converted to the slot's format on upload
+export const UPLOAD_ACCEPT = {
+  "audio/*": [".wav", ".mp3", ".ogg", ".oga", ".opus", ".flac", ".m4a", ".aac", ".wma"],
+  "video/*": [".mp4", ".webm", ".mkv", ".mov", ".avi"],
+};
+
+const UPLOAD_EXTENSIONS = Object.values(UPLOAD_ACCEPT).flat();
+
+export const isUploadable = (name) => UPLOAD_EXTENSIONS.some((extension) => name.toLowerCase().endsWith(extension));
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+// readEntries() returns directories in batches, so it's called until empty
+const walkEntry = async (entry, files) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ path: entry.fullPath.replace(/^\//, ""), file });
+    return;
+  }
+
+  const reader = entry.createReader();
+  let batch = await readEntries(reader);
+  while (batch.length > 0) {
+    for (const child of batch) await walkEntry(child, files);
+    batch = await readEntries(reader);
+  }
+};
+
+// Files and folders dropped on the page, as { path, file }. The entries must be
+// taken from the DataTransfer synchronously, before the drop handler returns.
+export const readDroppedFiles = async (dataTransfer) => {
+  const entries = [...dataTransfer.items]
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return [...dataTransfer.files].map((file) => ({ path: file.name, file }));
+  }
+
+  const files = [];
+  for (const entry of entries) await walkEntry(entry, files);
+  return files;
+};
+
+// Files picked through an <input webkitdirectory>
+export const readPickedFiles = (fileList) =>
+  [...fileList].map((file) => ({ path: file.webkitRelativePath || file.name, file }));
+
+// Proposes a slot for every uploadable file. Hidden files (.DS_Store, ._click.wav)
+// and anything else that isn't audio or video are reported as skipped.
+export const proposeAssignments = (files, catalog) => {
+  const rows = [];
+  const skipped = [];
+
+  files.forEach(({ path, file }) => {
+    if (file.name.startsWith(".") || !isUploadable(file.name)) {
+      skipped.push(path);
+      return;
+    }
+    rows.push({ path, file, slot: matchSlot(file.name, catalog) || "" });
+  });
+
+  rows.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+  return { rows, skipped };
+};
@@ -0,0 +1,9 @@
+export const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  return (bytes / Math.pow(1024, i)).toFixed(2) + ' ' + sizes[i];
+};
+
+// Keeps letters, digits, dots and dashes so the name works on every file system
+export const toSafeFileName = (name) => name.trim().replace(/[^\w.-]+/g, "_");
@@ -0,0 +1,161 @@
+import { decodeAudioFile } from "./decodeAudio";
+import { applyEdits, defaultEdits } from "./audioEdits";
+import { fetchStockSound } from "./stockSounds";
+
+const CLIPPING_THRESHOLD = 0.999;
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+export const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+export const formatDb = (value, unit = "dBFS") =>
+  Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : `-∞ ${unit}`;
+
+// RBJ biquad coefficients used by the ITU-R BS.1770 K-weighting pre-filter
+const biquadCoefficients = (type, gain, q, frequency, sampleRate) => {
+  const A = Math.pow(10, gain / 40);
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const cosW0 = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  let b, a;
+
+  if (type === "highShelf") {
+    const sqrtAAlpha = 2 * Math.sqrt(A) * alpha;
+    b = [
+      A * (A + 1 + (A - 1) * cosW0 + sqrtAAlpha),
+      -2 * A * (A - 1 + (A + 1) * cosW0),
+      A * (A + 1 + (A - 1) * cosW0 - sqrtAAlpha),
+    ];
+    a = [
+      A + 1 - (A - 1) * cosW0 + sqrtAAlpha,
+      2 * (A - 1 - (A + 1) * cosW0),
+      A + 1 - (A - 1) * cosW0 - sqrtAAlpha,
+    ];
+  } else {
+    b = [(1 + cosW0) / 2, -(1 + cosW0), (1 + cosW0) / 2];
+    a = [1 + alpha, -2 * cosW0, 1 - alpha];
+  }
+
+  return { b: b.map((value) => value / a[0]), a: a.map((value) => value / a[0]) };
+};
+
+const filter = (input, { b, a }) => {
+  const output = new Float32Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const x0 = input[i];
+    const y0 = b[0] * x0 + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    output[i] = y0;
+    x2 = x1;
+    x1 = x0;
+    y2 = y1;
+    y1 = y0;
+  }
+
+  return output;
+};
+
+const kWeight = (samples, sampleRate) => {
+  const shelf = biquadCoefficients("highShelf", 4, 1 / Math.sqrt(2), 1500, sampleRate);
+  const highPass = biquadCoefficients("highPass", 0, 0.5, 38, sampleRate);
+  return filter(filter(samples, shelf), highPass);
+};
+
+const meanSquare = (samples, start, end) => {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return end > start ? sum / (end - start) : 0;
+};
+
+const blockLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+// Gated integrated loudness (BS.1770-4). Sounds shorter than one gating block,
+// which is most UI blips, are measured as a single block.
+export const integratedLoudness = (channels, sampleRate) => {
+  const weighted = channels.map((samples) => kWeight(samples, sampleRate));
+  const length = weighted[0]?.length || 0;
+  const blockSize = Math.round(BLOCK_SECONDS * sampleRate);
+  const stepSize = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+
+  const blocks = [];
+  if (length <= blockSize) {
+    blocks.push([0, length]);
+  } else {
+    for (let start = 0; start + blockSize <= length; start += stepSize) {
+      blocks.push([start, start + blockSize]);
+    }
+  }
+
+  const powers = blocks
+    .map(([start, end]) => weighted.reduce((sum, samples) => sum + meanSquare(samples, start, end), 0))
+    .filter((power) => power > 0 && blockLoudness(power) > ABSOLUTE_GATE);
+
+  if (powers.length === 0) return -Infinity;
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const relativeThreshold = blockLoudness(average(powers)) + RELATIVE_GATE;
+  const gated = powers.filter((power) => blockLoudness(power) > relativeThreshold);
+
+  return blockLoudness(average(gated.length > 0 ? gated : powers));
+};
+
+export const analyzeChannels = (channels, sampleRate) => {
+  let peak = 0;
+  let sumSquares = 0;
+  let clippedSamples = 0;
+  let sampleCount = 0;
+
+  channels.forEach((samples) => {
+    for (let i = 0; i < samples.length; i++) {
+      const value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+      if (value >= CLIPPING_THRESHOLD) clippedSamples++;
+      sumSquares += samples[i] * samples[i];
+    }
+    sampleCount += samples.length;
+  });
+
+  return {
+    peak: toDb(peak),
+    rms: toDb(Math.sqrt(sampleCount > 0 ? sumSquares / sampleCount : 0)),
+    lufs: integratedLoudness(channels, sampleRate),
+    clippedSamples,
+  };
+};
+
+// Measures the track as it will be exported, with its edits applied
+export const analyzeFile = async (file, edits = defaultEdits) => {
+  const audioBuffer = await decodeAudioFile(file);
+  return analyzeChannels(applyEdits(audioBuffer, edits), audioBuffer.sampleRate);
+};
+
+const stockAnalysisCache = new Map();
+
+export const analyzeStockSound = (fileName) => {
+  if (!stockAnalysisCache.has(fileName)) {
+    const analysis = fetchStockSound(fileName)
+      .then((blob) => analyzeFile(blob))
+      .catch((error) => {
+        stockAnalysisCache.delete(fileName);
+        throw error;
+      });
+    stockAnalysisCache.set(fileName, analysis);
+  }
+  return stockAnalysisCache.get(fileName);
+};
+
+// Gain (in dB, on top of the track's current gain) that brings a track to the target loudness
+export const normalizationGain = (analysis, targetLufs, peakCeiling = null) => {
+  if (!Number.isFinite(analysis.lufs)) return 0;
+
+  let gain = targetLufs - analysis.lufs;
+  if (peakCeiling !== null && Number.isFinite(analysis.peak)) {
+    gain = Math.min(gain, peakCeiling - analysis.peak);
+  }
+  return gain;
+};
@@ -0,0 +1,55 @@
+export const CONFLICT_STRATEGIES = [
+  { value: "rename", label: "Keep both (rename)" },
+  { value: "replace", label: "Replace existing" },
+  { value: "skip", label: "Skip" },
+];
+
+// "click.wav" -> "click_2.wav", "click_3.wav", ... until the name is free
+export const uniqueName = (name, taken) => {
+  if (!taken.has(name)) return name;
+
+  const dot = name.lastIndexOf(".");
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : "";
+  let index = 2;
+  while (taken.has(`${stem}_${index}${extension}`)) index++;
+  return `${stem}_${index}${extension}`;
+};
+
+export const allNames = (config) => new Set(Object.values(config).flat().map((track) => track.name));
+
+// Where an incoming track's name is already used: in its target slot, in another
+// slot (which would overwrite it in the exported ZIP) or nowhere
+export const findConflict = (config, slot, name) => {
+  if (config[slot]?.some((track) => track.name === name)) return "slot";
+  if (Object.keys(config).some((other) => other !== slot && config[other].some((track) => track.name === name))) {
+    return "pack";
+  }
+  return null;
+};
+
+// Adds the selected tracks ({ slot, name, blob }) to a copy of `config`.
+// "replace" only swaps a track within the same slot; a name taken by another slot
+// is always renamed, since replacing it would silently change that slot too.
+export const mergeTracks = (config, selections, strategy, createUrl) => {
+  const merged = Object.fromEntries(Object.entries(config).map(([slot, tracks]) => [slot, [...tracks]]));
+
+  selections.forEach(({ slot, name, blob }) => {
+    merged[slot] = merged[slot] || [];
+    const conflict = findConflict(merged, slot, name);
+    let finalName = name;
+
+    if (conflict === "slot" && strategy === "replace") {
+      const index = merged[slot].findIndex((track) => track.name === name);
+      merged[slot][index] = { name, file: blob, url: createUrl(blob), size: blob.size };
+      return;
+    }
+
+    if (conflict && strategy === "skip") return;
+    if (conflict) finalName = uniqueName(name, allNames(merged));
+
+    merged[slot].push({ name: finalName, file: blob, url: createUrl(blob), size: blob.size });
+  });
+
+  return merged;
+};
@@ -0,0 +1,205 @@
+import { getCatalog } from "./packManifest";
+import { hashBlob } from "./exportPlan";
+import { getVariantSettings, trackWeight } from "./variants";
+
+export const CHANGELOG_FILE = "CHANGELOG.md";
+
+const METADATA_FIELDS = [
+  { field: "name", label: "Name" },
+  { field: "description", label: "Description" },
+  { field: "author", label: "Author" },
+];
+
+const titles = Object.fromEntries(
+  [...getCatalog(false), ...getCatalog(true)].map((item) => [item.fileName, item.title])
+);
+
+export const slotTitle = (slot) => titles[slot] || slot;
+
+// A release as the diff sees it: the manifest plus each slot's tracks by
+// content hash, so a re-exported file with the same audio counts as unchanged.
+// Built from a readPackZip() result, which is what a baseline ZIP is read into.
+export const snapshotImport = async (result) => {
+  const slots = {};
+  for (const [slot, tracks] of Object.entries(result.slots)) {
+    slots[slot] = await Promise.all(tracks.map(async (track) => ({
+      name: track.name,
+      hash: await hashBlob(track.blob),
+      weight: trackWeight(track),
+    })));
+  }
+  return { packInfo: result.packInfo, slots, changelog: result.changelog };
+};
+
+// The same for the pack being exported, from its export plan (so edits count).
+// Tracks are named by their exported file, as they'll read back from the ZIP,
+// so "prefix" or "folders" naming doesn't show up as renames.
+export const snapshotPlan = (packInfo, plan) => {
+  const slots = {};
+  plan.entries.forEach(({ slot, track, path, hash }) => {
+    (slots[slot] = slots[slot] || []).push({ name: path.split("/").pop(), hash, weight: trackWeight(track) });
+  });
+  return { packInfo, slots };
+};
+
+// Pairs a slot's tracks up: same name and audio is unchanged, same audio under
+// a new name is a rename, same name with new audio is a replacement
+const diffTracks = (before, after) => {
+  const removed = [...before];
+  const added = [];
+  const renamed = [];
+  const replaced = [];
+  const reweighted = [];
+  const unmatched = [];
+
+  const take = (predicate) => {
+    const index = removed.findIndex(predicate);
+    return index === -1 ? null : removed.splice(index, 1)[0];
+  };
+
+  after.forEach((track) => {
+    const same = take((old) => old.name === track.name && old.hash === track.hash);
+    if (!same) {
+      unmatched.push(track);
+    } else if (same.weight !== track.weight) {
+      reweighted.push({ name: track.name, from: same.weight, to: track.weight });
+    }
+  });
+  unmatched.forEach((track) => {
+    const moved = take((old) => old.hash === track.hash);
+    if (moved) {
+      renamed.push({ from: moved.name, to: track.name });
+      return;
+    }
+    const swapped = take((old) => old.name === track.name);
+    if (swapped) replaced.push(track.name);
+    else added.push(track.name);
+  });
+
+  return { added, removed: removed.map((track) => track.name), renamed, replaced, reweighted };
+};
+
+const sameSettings = (a, b) => a.avoid_repeat === b.avoid_repeat && a.pitch_variation === b.pitch_variation;
+
+// Compares two snapshots. `slots` lists every slot that changed; a slot that
+// had no sounds before is "new" and one that lost all of them is "reverted"
+// (it plays the stock sound again).
+export const diffPacks = (baseline, current) => {
+  const slots = [];
+  const names = new Set([...Object.keys(baseline.slots), ...Object.keys(current.slots)]);
+
+  names.forEach((slot) => {
+    const before = baseline.slots[slot] || [];
+    const after = current.slots[slot] || [];
+    const tracks = diffTracks(before, after);
+    const settingsChanged = !sameSettings(
+      getVariantSettings(baseline.packInfo, slot),
+      getVariantSettings(current.packInfo, slot)
+    );
+    const changed = settingsChanged || Object.values(tracks).some((list) => list.length > 0);
+    if (!changed) return;
+
+    const status = before.length === 0 ? "new" : after.length === 0 ? "reverted" : "changed";
+    slots.push({ slot, status, settingsChanged, ...tracks });
+  });
+
+  const fields = METADATA_FIELDS
+    .filter(({ field }) => baseline.packInfo[field] !== current.packInfo[field])
+    .map(({ field, label }) => ({ field, label, from: baseline.packInfo[field], to: current.packInfo[field] }));
+  if (baseline.packInfo.manifest_version !== current.packInfo.manifest_version) {
+    fields.push({
+      field: "manifest_version",
+      label: "Manifest version",
+      from: baseline.packInfo.manifest_version,
+      to: current.packInfo.manifest_version,
+    });
+  }
+
+  const ignoredBefore = baseline.packInfo.music ? [] : baseline.packInfo.ignore;
+  const ignoredAfter = current.packInfo.music ? [] : current.packInfo.ignore;
+
+  return {
+    slots,
+    fields,
+    musicChanged: baseline.packInfo.music !== current.packInfo.music,
+    ignored: ignoredAfter.filter((slot) => !ignoredBefore.includes(slot)),
+    unignored: ignoredBefore.filter((slot) => !ignoredAfter.includes(slot)),
+  };
+};
+
+export const hasChanges = (diff) =>
+  diff.slots.length > 0 || diff.fields.length > 0 || diff.musicChanged || diff.ignored.length > 0 || diff.unignored.length > 0;
+
+// Semver for sound packs: switching pack type or taking custom sounds away is
+// major, adding sounds or silencing slots is minor, anything else is a patch
+export const suggestBump = (diff) => {
+  if (!hasChanges(diff)) return null;
+  if (diff.musicChanged || diff.fields.some(({ field }) => field === "manifest_version")) return "major";
+  if (diff.slots.some(({ status }) => status === "reverted")) return "major";
+  if (diff.ignored.length > 0 || diff.unignored.length > 0) return "minor";
+  if (diff.slots.some(({ status, added }) => status === "new" || added.length > 0)) return "minor";
+  return "patch";
+};
+
+const BUMP_PATTERN = /^(v?)(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-[0-9A-Za-z.-]+)?$/;
+
+// Keeps the "v" prefix and as many parts as the version had ("v1.0" becomes
+// "v1.1" for a minor bump), adding the patch number only when it's needed.
+// A pre-release suffix is dropped. Returns null for unrecognised versions.
+export const bumpVersion = (version, level) => {
+  const match = BUMP_PATTERN.exec(version?.trim() || "");
+  if (!match) return null;
+
+  const [, prefix, majorPart, minorPart, patchPart] = match;
+  let [major, minor, patch] = [majorPart, minorPart, patchPart].map((part) => Number(part) || 0);
+  if (level === "major") [major, minor, patch] = [major + 1, 0, 0];
+  if (level === "minor") [minor, patch] = [minor + 1, 0];
+  if (level === "patch") patch += 1;
+
+  let length = patchPart !== undefined ? 3 : minorPart !== undefined ? 2 : 1;
+  if (level === "patch") length = 3;
+  if (level === "minor") length = Math.max(length, 2);
+  return prefix + [major, minor, patch].slice(0, length).join(".");
+};
+
+const quote = (value) => (value ? `"${value}"` : "(empty)");
+
+const describeSlot = ({ status, added, removed, renamed, replaced, reweighted, settingsChanged }) => {
+  if (status === "new") return [`custom sound${added.length === 1 ? "" : "s"} added: ${added.join(", ")}`];
+  if (status === "reverted") return ["back to the stock sound"];
+
+  const lines = [];
+  if (added.length > 0) lines.push(`added ${added.join(", ")}`);
+  if (removed.length > 0) lines.push(`removed ${removed.join(", ")}`);
+  if (replaced.length > 0) lines.push(`new audio for ${replaced.join(", ")}`);
+  renamed.forEach(({ from, to }) => lines.push(`renamed ${from} to ${to}`));
+  reweighted.forEach(({ name, from, to }) => lines.push(`${name} weight ${from} → ${to}`));
+  if (settingsChanged) lines.push("variant playback settings changed");
+  return lines;
+};
+
+// A Markdown section for this release, put above the baseline's own changelog
+// when it shipped one
+export const buildChangelog = (diff, baseline, current, date = new Date()) => {
+  const lines = [
+    `## ${current.packInfo.version} (${date.toISOString().slice(0, 10)})`,
+    "",
+    `Changes since ${baseline.packInfo.version}:`,
+    "",
+  ];
+
+  if (diff.musicChanged) {
+    lines.push(`- Pack type changed to ${current.packInfo.music ? "music" : "sound effects"}`);
+  }
+  diff.fields.forEach(({ label, from, to }) => lines.push(`- ${label}: ${quote(from)} → ${quote(to)}`));
+  diff.slots.forEach((change) => {
+    describeSlot(change).forEach((text) => lines.push(`- **${slotTitle(change.slot)}**: ${text}`));
+  });
+  diff.ignored.forEach((slot) => lines.push(`- **${slotTitle(slot)}**: now silent`));
+  diff.unignored.forEach((slot) => lines.push(`- **${slotTitle(slot)}**: no longer silent`));
+  if (!hasChanges(diff)) lines.push("- No changes");
+
+  const section = lines.join("\n");
+  const previous = baseline.changelog?.replace(/^# .*\n+/, "").trim();
+  return `# ${current.packInfo.name} Changelog\n\n${section}\n${previous ? `\n${previous}\n` : ""}`;
+};
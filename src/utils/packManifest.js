@@ -0,0 +1,78 @@
+import itemsData from "../data/files.json" with { type: "json" };
+import musicData from "../data/music.json" with { type: "json" };
+import { buildVariantsJson, readVariantSettings } from "./variants";
+
+export const MANIFEST_VERSIONS = [1, 2];
+
+export const defaultPackInfo = {
+  name: "SDeckTools Pack",
+  description: "SFX Pack created in SDeckTools.com",
+  author: "SDeckTools.com",
+  version: "v1.0",
+  manifest_version: 2,
+  music: false,
+  ignore: [],
+  variants: {},
+};
+
+// Accepts "1", "v1.0" and full semver such as "1.2.3-beta.1"
+const VERSION_PATTERN = /^v?\d+(\.\d+){0,2}(-[0-9A-Za-z.-]+)?$/;
+
+export const isValidVersion = (version) => VERSION_PATTERN.test(version?.trim() || "");
+
+export const getCatalog = (music) => (music ? musicData : itemsData);
+
+const slotFormats = Object.fromEntries(
+  [...itemsData, ...musicData].map((item) => [item.fileName, item.format])
+);
+
+export const getSlotFormat = (fileName) => slotFormats[fileName] || "wav";
+
+export const createEmptyConfig = () =>
+  [...itemsData, ...musicData].reduce((acc, item) => {
+    acc[item.fileName] = [];
+    return acc;
+  }, {});
+
+// Slots from the catalog that isn't active are left out, so a music pack
+// doesn't carry empty SFX mappings (and vice versa)
+export const buildMappings = (config, music) => {
+  const inactive = new Set(getCatalog(!music).map((item) => item.fileName));
+  const mappings = {};
+  for (const fileName in config) {
+    if (inactive.has(fileName)) continue;
+    mappings[fileName] = config[fileName].map((f) => f.name);
+  }
+  return mappings;
+};
+
+// `mappings` defaults to the tracks' own names; exports pass planExport()'s paths.
+// "variants" is only written when a slot uses non-default variant settings.
+export const buildPackJson = (config, packInfo, mappings = buildMappings(config, packInfo.music)) => {
+  const variants = buildVariantsJson(config, packInfo, Object.keys(mappings));
+  return {
+    name: packInfo.name,
+    description: packInfo.description,
+    author: packInfo.author,
+    version: packInfo.version,
+    manifest_version: packInfo.manifest_version,
+    music: packInfo.music,
+    ignore: packInfo.music ? [] : packInfo.ignore,
+    mappings,
+    ...(variants && { variants }),
+  };
+};
+
+// Fills in any manifest fields an imported pack.json left out
+export const normalizePackInfo = (parsedPack) => ({
+  name: typeof parsedPack.name === "string" ? parsedPack.name : defaultPackInfo.name,
+  description: typeof parsedPack.description === "string" ? parsedPack.description : "",
+  author: typeof parsedPack.author === "string" ? parsedPack.author : "",
+  version: parsedPack.version != null ? String(parsedPack.version) : defaultPackInfo.version,
+  manifest_version: MANIFEST_VERSIONS.includes(parsedPack.manifest_version)
+    ? parsedPack.manifest_version
+    : defaultPackInfo.manifest_version,
+  music: parsedPack.music === true,
+  ignore: Array.isArray(parsedPack.ignore) ? parsedPack.ignore.filter((name) => typeof name === "string") : [],
+  variants: readVariantSettings(parsedPack.variants),
+});
@@ -0,0 +1,84 @@
+const DB_NAME = "sdecktools";
+const DB_VERSION = 1;
+const STORE_NAME = "projects";
+const LAST_PROJECT_KEY = "sdecktools:lastProjectId";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const createProjectId = () =>
+  crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Object URLs and analysis results are rebuilt on load, so only the audio and edits are stored
+export const serializeConfig = (config) => {
+  const stored = {};
+  for (const fileName in config) {
+    stored[fileName] = config[fileName].map(({ name, file, size, edits, weight }) => ({ name, file, size, edits, weight }));
+  }
+  return stored;
+};
+
+export const deserializeConfig = (stored, emptyConfig) => {
+  const config = { ...emptyConfig };
+  for (const fileName in stored) {
+    config[fileName] = stored[fileName].map((track) => ({
+      ...track,
+      url: URL.createObjectURL(track.file),
+    }));
+  }
+  return config;
+};
+
+export const saveProject = ({ id, packInfo, config }) =>
+  runTransaction("readwrite", (store) =>
+    store.put({
+      id,
+      name: packInfo.name,
+      updatedAt: Date.now(),
+      trackCount: Object.values(config).flat().length,
+      packInfo,
+      config: serializeConfig(config),
+    })
+  );
+
+export const loadProject = (id) => runTransaction("readonly", (store) => store.get(id));
+
+export const deleteProject = (id) => runTransaction("readwrite", (store) => store.delete(id));
+
+export const listProjects = async () => {
+  const projects = await runTransaction("readonly", (store) => store.getAll());
+  return (projects || [])
+    .map(({ id, name, updatedAt, trackCount }) => ({ id, name, updatedAt, trackCount }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getLastProjectId = () => localStorage.getItem(LAST_PROJECT_KEY);
+
+export const setLastProjectId = (id) => localStorage.setItem(LAST_PROJECT_KEY, id);
@@ -0,0 +1,82 @@
+import { getAudioContext } from "./decodeAudio";
+import { renderEditedFile } from "./audioEdits";
+
+export const requestMicrophone = () =>
+  navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+  });
+
+// A stand-in microphone that plays a steady tone, for trying out recording
+// without hardware or a permission prompt. Pass it wherever a stream
+// factory is expected, e.g. RecordPanel's `getStream`.
+export const createToneStream = async (frequency = 440) => {
+  const audioContext = getAudioContext();
+  await audioContext.resume();
+  const oscillator = audioContext.createOscillator();
+  const level = audioContext.createGain();
+  const destination = audioContext.createMediaStreamDestination();
+  oscillator.frequency.value = frequency;
+  level.gain.value = 0.25;
+  oscillator.connect(level).connect(destination);
+  oscillator.start();
+
+  const [track] = destination.stream.getAudioTracks();
+  track.addEventListener("ended", () => oscillator.stop());
+  return destination.stream;
+};
+
+// Records `stream` until stop() is called, which resolves with the recorded
+// Blob (whatever container the browser's MediaRecorder produces). The peak
+// level (0–1) of the incoming audio is reported to `onLevel` every frame.
+export const startRecording = (stream, { onLevel } = {}) => {
+  const audioContext = getAudioContext();
+  audioContext.resume();
+  const input = audioContext.createMediaStreamSource(stream);
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 1024;
+  input.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let frame = null;
+  const measure = () => {
+    analyser.getFloatTimeDomainData(samples);
+    let peak = 0;
+    for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+    onLevel?.(peak);
+    frame = requestAnimationFrame(measure);
+  };
+  measure();
+
+  const recorder = new MediaRecorder(stream);
+  const chunks = [];
+  recorder.addEventListener("dataavailable", (event) => chunks.push(event.data));
+  recorder.start();
+
+  const release = () => {
+    cancelAnimationFrame(frame);
+    input.disconnect();
+    stream.getTracks().forEach((track) => track.stop());
+  };
+
+  return {
+    stop: () => new Promise((resolve, reject) => {
+      recorder.addEventListener("stop", () => {
+        release();
+        resolve(new Blob(chunks, { type: recorder.mimeType }));
+      }, { once: true });
+      recorder.addEventListener("error", (event) => {
+        release();
+        reject(event.error);
+      }, { once: true });
+      recorder.stop();
+    }),
+    cancel: () => {
+      if (recorder.state !== "inactive") recorder.stop();
+      release();
+    },
+  };
+};
+
+// Recordings are compressed (Opus/AAC), so the trimmed take is decoded and
+// written out as PCM WAV in the conversion settings' format before it joins the pack
+export const recordingToWav = (recording, name, edits, output) => renderEditedFile(recording, name, edits, output);
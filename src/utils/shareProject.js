@@ -0,0 +1,247 @@
+import JSZip from "jszip";
+import { FADE_CURVES, clampGain, defaultEdits } from "./audioEdits";
+import { getCatalog, normalizePackInfo } from "./packManifest";
+import { clampWeight } from "./variants";
+import { createProjectId } from "./projectStore";
+import { toSafeFileName } from "./format";
+
+const PROJECT_FORMAT = "sdeck-project";
+const PROJECT_VERSION = 1;
+const PROJECT_JSON = "project.json";
+const SHARE_PARAM = "share";
+
+export const PROJECT_EXTENSION = ".sdeck";
+
+// Longest link that still pastes reliably into chat apps and browsers
+export const MAX_LINK_LENGTH = 64 * 1024;
+
+const KNOWN_SLOTS = new Set([...getCatalog(false), ...getCatalog(true)].map((item) => item.fileName));
+
+export const projectFileName = (packInfo) => `${toSafeFileName(packInfo.name || "Untitled Pack")}${PROJECT_EXTENSION}`;
+
+// --- Encoding ---
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const transform = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const compress = (text) => transform(new TextEncoder().encode(text), new CompressionStream("deflate"));
+
+const decompress = async (bytes) => new TextDecoder().decode(await transform(bytes, new DecompressionStream("deflate")));
+
+// Only the audio and edits are shared; URLs and analysis are rebuilt on open.
+// `audio` decides how each track's file is stored and returns that reference.
+const buildPayload = async (config, packInfo, id, audio) => {
+  const slots = {};
+  let index = 0;
+
+  for (const slot in config) {
+    if (config[slot].length === 0) continue;
+    slots[slot] = [];
+    for (const { name, file, edits, weight } of config[slot]) {
+      slots[slot].push({ name, edits, weight, ...(await audio(file, name, index++)) });
+    }
+  }
+
+  return { format: PROJECT_FORMAT, version: PROJECT_VERSION, id, packInfo, slots };
+};
+
+// A .sdeck file is a ZIP of project.json plus the audio it references
+export const createProjectFile = async (config, packInfo, id = createProjectId()) => {
+  const zip = new JSZip();
+  const payload = await buildPayload(config, packInfo, id, async (file, name, index) => {
+    const path = `audio/${index}_${name}`;
+    zip.file(path, await file.arrayBuffer());
+    return { file: path };
+  });
+
+  zip.file(PROJECT_JSON, JSON.stringify(payload, null, 2));
+  return zip.generateAsync({ type: "blob" });
+};
+
+const linkFor = (encoded) => {
+  const url = new URL(window.location.href);
+  url.hash = `${SHARE_PARAM}=${encoded}`;
+  return url.toString();
+};
+
+// Small packs travel entirely in the link. Larger ones get a link holding the
+// pack settings and track list, plus a .sdeck file with the audio to send along.
+export const createShareLink = async (config, packInfo) => {
+  // Audio rarely compresses to less than half its size, so don't bother trying
+  const audioSize = Object.values(config).flat().reduce((total, track) => total + track.file.size, 0);
+  if (audioSize <= MAX_LINK_LENGTH * 2) {
+    const embedded = await buildPayload(config, packInfo, createProjectId(), async (file) => ({
+      data: toBase64Url(new Uint8Array(await file.arrayBuffer())),
+    }));
+    const link = linkFor(toBase64Url(await compress(JSON.stringify(embedded))));
+    if (link.length <= MAX_LINK_LENGTH) return { link, projectFile: null };
+  }
+
+  const id = createProjectId();
+  const projectFile = await createProjectFile(config, packInfo, id);
+  const referenced = await buildPayload(config, packInfo, id, async (_, name, index) => ({
+    file: `audio/${index}_${name}`,
+  }));
+  referenced.companion = projectFileName(packInfo);
+
+  return {
+    link: linkFor(toBase64Url(await compress(JSON.stringify(referenced)))),
+    projectFile,
+  };
+};
+
+// --- Decoding ---
+
+const sanitizeEdits = (edits) => {
+  if (!edits || typeof edits !== "object") return undefined;
+  const number = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+  return {
+    start: number(edits.start, defaultEdits.start),
+    end: edits.end === null ? null : number(edits.end, defaultEdits.end),
+    fadeIn: number(edits.fadeIn, defaultEdits.fadeIn),
+    fadeOut: number(edits.fadeOut, defaultEdits.fadeOut),
+    fadeCurve: edits.fadeCurve in FADE_CURVES ? edits.fadeCurve : defaultEdits.fadeCurve,
+    gain: Number.isFinite(edits.gain) ? clampGain(edits.gain) : defaultEdits.gain,
+  };
+};
+
+// Checks a payload from a link or project file before it can replace the
+// current project. Throws on anything that makes it unusable; slots this
+// version doesn't know about are dropped with a warning.
+export const parseProjectPayload = (payload) => {
+  if (!payload || payload.format !== PROJECT_FORMAT) {
+    throw new Error("This is not an SDeckTools project.");
+  }
+  if (payload.version > PROJECT_VERSION) {
+    throw new Error("This project was saved by a newer version of SDeckTools. Reload the page to update.");
+  }
+  if (!payload.packInfo || typeof payload.packInfo !== "object" || !payload.slots || typeof payload.slots !== "object") {
+    throw new Error("The project is missing its pack settings or sounds.");
+  }
+
+  const warnings = [];
+  const slots = {};
+
+  for (const [slot, tracks] of Object.entries(payload.slots)) {
+    if (!KNOWN_SLOTS.has(slot)) {
+      warnings.push(`Skipped unknown slot ${slot}.`);
+      continue;
+    }
+    if (!Array.isArray(tracks)) throw new Error(`The sounds for ${slot} are malformed.`);
+
+    const names = new Set();
+    slots[slot] = tracks.map((track) => {
+      const name = track?.name;
+      if (typeof name !== "string" || !name.trim() || /[\\/]/.test(name)) {
+        throw new Error(`${slot} contains a sound with an invalid name.`);
+      }
+      if (names.has(name)) throw new Error(`${slot} lists ${name} more than once.`);
+      if (typeof track.data !== "string" && typeof track.file !== "string") {
+        throw new Error(`${name} in ${slot} has no audio.`);
+      }
+      names.add(name);
+      return {
+        name,
+        edits: sanitizeEdits(track.edits),
+        weight: track.weight === undefined ? undefined : clampWeight(track.weight),
+        data: track.data,
+        file: track.file,
+      };
+    });
+  }
+
+  return {
+    id: typeof payload.id === "string" ? payload.id : null,
+    packInfo: normalizePackInfo(payload.packInfo),
+    slots,
+    companion: typeof payload.companion === "string" ? payload.companion : null,
+    warnings,
+  };
+};
+
+// The shared project in the current URL, or null if there is none
+export const readShareLink = async (hash = window.location.hash) => {
+  const match = hash.match(new RegExp(`^#${SHARE_PARAM}=([\\w-]+)$`));
+  if (!match) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(await decompress(fromBase64Url(match[1])));
+  } catch {
+    throw new Error("The share link is incomplete or damaged. Ask for it to be sent again.");
+  }
+  return parseProjectPayload(payload);
+};
+
+export const clearShareLink = () => {
+  const url = new URL(window.location.href);
+  url.hash = "";
+  window.history.replaceState(null, "", url);
+};
+
+export const readProjectFile = async (file) => {
+  let zip;
+  let payload;
+  try {
+    zip = await JSZip.loadAsync(file);
+    payload = JSON.parse(await zip.file(PROJECT_JSON).async("string"));
+  } catch {
+    throw new Error(`${file.name} is not a valid ${PROJECT_EXTENSION} project file.`);
+  }
+
+  const project = parseProjectPayload(payload);
+  for (const tracks of Object.values(project.slots)) {
+    for (const track of tracks) {
+      if (!track.data && !zip.file(track.file)) {
+        throw new Error(`${file.name} is missing the audio for ${track.name}.`);
+      }
+    }
+  }
+  return { ...project, zip };
+};
+
+// Builds `config` tracks from a parsed project. Link-only projects that point
+// at a companion file need that file's parsed project as `projectFile`.
+export const loadProjectAudio = async (project, emptyConfig, projectFile = null) => {
+  if (project.companion && !projectFile) {
+    throw new Error(`Open ${project.companion} to load this project's audio.`);
+  }
+  if (projectFile && project.id && projectFile.id !== project.id) {
+    throw new Error("That project file doesn't belong to this link.");
+  }
+
+  const source = projectFile || project;
+  const config = { ...emptyConfig };
+
+  for (const [slot, tracks] of Object.entries(source.slots)) {
+    config[slot] = await Promise.all(tracks.map(async ({ name, edits, weight, data, file }) => {
+      const blob = data
+        ? new Blob([fromBase64Url(data)])
+        : await source.zip.file(file).async("blob");
+      const namedFile = new File([blob], name);
+      return {
+        name,
+        file: namedFile,
+        url: URL.createObjectURL(namedFile),
+        size: namedFile.size,
+        ...(edits && { edits }),
+        ...(weight !== undefined && { weight }),
+      };
+    }));
+  }
+
+  return config;
+};
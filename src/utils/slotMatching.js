@@ -0,0 +1,32 @@
+const SLOT_PREFIX = "deck_ui_";
+
+const toStem = (name) =>
+  name
+    .split("/")
+    .pop()
+    .toLowerCase()
+    .replace(/\.[^.]+$/, "")
+    .replace(/[\s.-]+/g, "_");
+
+const stripVariantSuffix = (stem) => stem.replace(/_?\(?\d+\)?$/, "");
+
+// Finds the catalog slot a file belongs to from its name, e.g. "launch_game_2.wav"
+// or "Navigation-01.mp3". Returns the slot's fileName, or null if nothing fits.
+export const matchSlot = (fileName, catalog) => {
+  const slots = new Map();
+  catalog.forEach((item) => {
+    const stem = toStem(item.fileName);
+    slots.set(stem, item.fileName);
+    if (stem.startsWith(SLOT_PREFIX)) {
+      slots.set(stem.slice(SLOT_PREFIX.length), item.fileName);
+    }
+  });
+
+  const stem = toStem(fileName);
+  const candidates = [stem, stripVariantSuffix(stem), stripVariantSuffix(stripVariantSuffix(stem))];
+
+  for (const candidate of candidates) {
+    if (slots.has(candidate)) return slots.get(candidate);
+  }
+  return null;
+};
@@ -0,0 +1,20 @@
+const stockCache = new Map();
+
+export const getStockSoundUrl = (fileName) => `/sounds/${fileName}`;
+
+// The stock Steam sound that ships in public/sounds for a slot
+export const fetchStockSound = (fileName) => {
+  if (!stockCache.has(fileName)) {
+    const request = fetch(getStockSoundUrl(fileName))
+      .then((response) => {
+        if (!response.ok) throw new Error(`Stock sound ${fileName} could not be loaded.`);
+        return response.blob();
+      })
+      .catch((error) => {
+        stockCache.delete(fileName);
+        throw error;
+      });
+    stockCache.set(fileName, request);
+  }
+  return stockCache.get(fileName);
+};
@@ -0,0 +1,154 @@
+import { encodeWav } from "./wav";
+import { defaultConversionSettings } from "./convertAudio";
+
+export const WAVEFORMS = ["sine", "triangle", "square", "sawtooth"];
+export const FILTER_TYPES = ["lowpass", "highpass", "bandpass"];
+export const PITCH_CURVES = ["exponential", "linear", "step"];
+
+// Times are in seconds, frequencies in Hz. `crushBits` of 16 leaves the
+// samples untouched; lower values quantize them for a lo-fi sound.
+export const defaultSynthSettings = {
+  waveform: "sine",
+  startFrequency: 880,
+  endFrequency: 880,
+  pitchTime: 0.05,
+  pitchCurve: "exponential",
+  attack: 0.002,
+  decay: 0.05,
+  sustain: 0,
+  hold: 0,
+  release: 0.02,
+  noise: 0,
+  filterType: "lowpass",
+  filterFrequency: 12000,
+  filterQ: 1,
+  crushBits: 16,
+  volume: 0.7,
+};
+
+export const SYNTH_PRESETS = [
+  {
+    id: "soft_click",
+    label: "Soft click",
+    settings: { waveform: "sine", startFrequency: 1800, endFrequency: 600, pitchTime: 0.015, attack: 0.001, decay: 0.025, noise: 0.15, filterFrequency: 5000 },
+  },
+  {
+    id: "glass_tick",
+    label: "Glass tick",
+    settings: { waveform: "triangle", startFrequency: 4200, endFrequency: 3800, pitchTime: 0.03, attack: 0.001, decay: 0.06, filterType: "highpass", filterFrequency: 2000, volume: 0.5 },
+  },
+  {
+    id: "retro_coin",
+    label: "Retro coin",
+    settings: { waveform: "square", startFrequency: 988, endFrequency: 1319, pitchTime: 0.07, pitchCurve: "step", attack: 0.001, decay: 0.05, sustain: 0.5, hold: 0.15, release: 0.1, crushBits: 6, volume: 0.4 },
+  },
+  {
+    id: "toggle_on",
+    label: "Toggle on",
+    settings: { waveform: "sine", startFrequency: 600, endFrequency: 1200, pitchTime: 0.06, attack: 0.002, decay: 0.08, volume: 0.6 },
+  },
+  {
+    id: "toggle_off",
+    label: "Toggle off",
+    settings: { waveform: "sine", startFrequency: 1200, endFrequency: 600, pitchTime: 0.06, attack: 0.002, decay: 0.08, volume: 0.6 },
+  },
+  {
+    id: "chime",
+    label: "Chime",
+    settings: { waveform: "sine", startFrequency: 1568, endFrequency: 1568, attack: 0.005, decay: 0.4, sustain: 0.2, hold: 0.1, release: 0.6, filterFrequency: 8000, volume: 0.5 },
+  },
+  {
+    id: "whoosh",
+    label: "Whoosh",
+    settings: { waveform: "sine", startFrequency: 200, endFrequency: 200, attack: 0.12, decay: 0.15, noise: 1, filterType: "bandpass", filterFrequency: 1200, filterQ: 0.8, volume: 0.6 },
+  },
+];
+
+export const getPresetSettings = (id) => ({
+  ...defaultSynthSettings,
+  ...SYNTH_PRESETS.find((preset) => preset.id === id)?.settings,
+});
+
+export const synthDuration = (settings) => settings.attack + settings.decay + settings.hold + settings.release;
+
+const createNoise = (context, duration) => {
+  const buffer = context.createBuffer(1, Math.max(1, Math.ceil(duration * context.sampleRate)), context.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  return source;
+};
+
+const schedulePitch = (frequency, settings) => {
+  const { startFrequency, endFrequency, pitchTime, pitchCurve } = settings;
+  frequency.setValueAtTime(startFrequency, 0);
+  if (startFrequency === endFrequency || pitchTime <= 0) return;
+
+  if (pitchCurve === "step") {
+    frequency.setValueAtTime(endFrequency, pitchTime);
+  } else if (pitchCurve === "linear") {
+    frequency.linearRampToValueAtTime(endFrequency, pitchTime);
+  } else {
+    frequency.exponentialRampToValueAtTime(Math.max(endFrequency, 1), pitchTime);
+  }
+};
+
+// Attack to full level, decay to the sustain level, hold, then release to silence
+const scheduleEnvelope = (gain, settings) => {
+  const { attack, decay, sustain, hold, release, volume } = settings;
+  gain.setValueAtTime(0, 0);
+  gain.linearRampToValueAtTime(volume, attack);
+  gain.linearRampToValueAtTime(volume * sustain, attack + decay);
+  gain.setValueAtTime(volume * sustain, attack + decay + hold);
+  gain.linearRampToValueAtTime(0, attack + decay + hold + release);
+};
+
+const crush = (channels, bits) => {
+  if (bits >= 16) return channels;
+  const steps = 2 ** (bits - 1);
+  return channels.map((data) => data.map((sample) => Math.round(sample * steps) / steps));
+};
+
+// Renders the sound offline (faster than real time) as one Float32Array per channel
+export const renderSynth = async (settings, sampleRate = 44100, channelCount = 2) => {
+  const duration = synthDuration(settings);
+  const context = new OfflineAudioContext(channelCount, Math.max(1, Math.ceil(duration * sampleRate)), sampleRate);
+
+  const envelope = context.createGain();
+  const filter = context.createBiquadFilter();
+  filter.type = settings.filterType;
+  filter.frequency.value = Math.min(settings.filterFrequency, sampleRate / 2);
+  filter.Q.value = settings.filterQ;
+  scheduleEnvelope(envelope.gain, settings);
+  filter.connect(envelope).connect(context.destination);
+
+  if (settings.noise < 1) {
+    const oscillator = context.createOscillator();
+    const level = context.createGain();
+    oscillator.type = settings.waveform;
+    schedulePitch(oscillator.frequency, settings);
+    level.gain.value = 1 - settings.noise;
+    oscillator.connect(level).connect(filter);
+    oscillator.start(0);
+    oscillator.stop(duration);
+  }
+
+  if (settings.noise > 0) {
+    const noise = createNoise(context, duration);
+    const level = context.createGain();
+    level.gain.value = settings.noise;
+    noise.connect(level).connect(filter);
+    noise.start(0);
+  }
+
+  const rendered = await context.startRendering();
+  const channels = Array.from({ length: rendered.numberOfChannels }, (_, channel) => rendered.getChannelData(channel));
+  return crush(channels, settings.crushBits);
+};
+
+// `output` takes the conversion settings, so generated sounds match uploaded ones
+export const renderSynthFile = async (settings, name, output = defaultConversionSettings) => {
+  const channels = await renderSynth(settings, output.sampleRate, output.channels);
+  return new File([encodeWav(channels, output.sampleRate, output.bitDepth)], name, { type: "audio/wav" });
+};
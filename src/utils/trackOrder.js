@@ -0,0 +1,39 @@
+import { uniqueName } from "./mergePack";
+import { getSlotFormat } from "./packManifest";
+
+// dataTransfer type for tracks dragged by their handle, so they can't be
+// confused with files dragged in from the desktop
+export const TRACK_DRAG_TYPE = "application/x-sdeck-track";
+
+export const isTrackDrag = (event) => event.dataTransfer.types.includes(TRACK_DRAG_TYPE);
+
+// Ctrl (Windows/Linux) or Alt/Option (macOS) turns a move into a copy
+export const isCopyDrag = (event) => event.ctrlKey || event.altKey;
+
+// A track can only land in a slot that expects the same format
+export const canDropTrack = (fromSlot, toSlot) => getSlotFormat(fromSlot) === getSlotFormat(toSlot);
+
+// Moves the track `from.name` out of `from.slot` to position `to.index` of
+// `to.slot`, or copies it there. Tracks are told apart by name within a slot,
+// so one that lands next to a same-named track is renamed (the export plan
+// keeps the file names unique across the ZIP).
+export const moveTrack = (config, from, to, copy = false) => {
+  const sourceIndex = config[from.slot]?.findIndex((track) => track.name === from.name) ?? -1;
+  if (sourceIndex === -1) return config;
+
+  const track = config[from.slot][sourceIndex];
+  const moved = { ...config };
+  let index = to.index;
+
+  if (!copy) {
+    if (from.slot === to.slot && sourceIndex < index) index--;
+    if (from.slot === to.slot && sourceIndex === index) return config;
+    moved[from.slot] = config[from.slot].filter((_, i) => i !== sourceIndex);
+  }
+
+  const target = [...moved[to.slot]];
+  const name = uniqueName(track.name, new Set(target.map((existing) => existing.name)));
+  target.splice(index, 0, name === track.name ? track : { ...track, name });
+  moved[to.slot] = target;
+  return moved;
+};
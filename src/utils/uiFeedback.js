@@ -0,0 +1,36 @@
+import { loadStockBuffer, loadTrackBuffer, playBuffer } from "./auditionPlayer";
+import { getVariantSettings, pickVariant, randomPlaybackRate } from "./variants";
+
+// The Deck sound each kind of gamepad navigation feedback plays
+export const FEEDBACK_SOUNDS = {
+  move: "deck_ui_navigation.wav",
+  activate: "deck_ui_default_activation.wav",
+  back: "deck_ui_out_of_game_detail.wav",
+  section: "deck_ui_tab_transition_01.wav",
+  edge: "deck_ui_bumper_end_02.wav",
+};
+
+const previousPicks = new Map();
+
+// Plays feedback the way the Deck would with the pack being built: its own
+// variants (weights, repeat avoidance, pitch), the stock sound for empty
+// slots and silence for ignored ones
+export const playFeedback = async (kind, config, packInfo) => {
+  const slot = FEEDBACK_SOUNDS[kind];
+  if (!slot || (!packInfo.music && packInfo.ignore.includes(slot))) return;
+
+  const tracks = packInfo.music ? [] : config[slot] || [];
+  const settings = getVariantSettings(packInfo, slot);
+  let audioBuffer;
+
+  if (tracks.length > 0) {
+    const index = pickVariant(tracks, settings, previousPicks.get(slot));
+    previousPicks.set(slot, index);
+    audioBuffer = await loadTrackBuffer(tracks[index]);
+  } else {
+    audioBuffer = await loadStockBuffer(slot);
+  }
+
+  const source = playBuffer(audioBuffer);
+  if (tracks.length > 0) source.playbackRate.value = randomPlaybackRate(settings);
+};
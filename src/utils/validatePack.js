@@ -0,0 +1,104 @@
+import { readWavInfo } from "./wavInfo";
+import { formatFileSize } from "./format";
+import { buildMappings, getSlotFormat, isValidVersion } from "./packManifest";
+
+const MAX_UI_SOUND_SECONDS = 5;
+const MAX_UI_SOUND_BYTES = 5 * 1024 * 1024;
+const SUPPORTED_SAMPLE_RATES = [22050, 44100, 48000];
+const SUPPORTED_BIT_DEPTHS = [8, 16, 24];
+
+// Checks the pack against what SteamOS and AudioLoader can play.
+// Errors block the export; warnings only need to be acknowledged. `plan` is
+// the planExport() result, so the files checked are exactly the ones exported.
+export const validatePack = async (config, packInfo, plan) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!packInfo.name?.trim()) {
+    errors.push({ message: "The pack has no name." });
+  }
+
+  if (!isValidVersion(packInfo.version)) {
+    errors.push({ message: `"${packInfo.version}" is not a valid version. Use something like v1.0 or 1.2.3.` });
+  }
+
+  const slots = Object.keys(buildMappings(config, packInfo.music));
+  const emptySlots = slots.filter((slot) => config[slot].length === 0);
+
+  if (emptySlots.length === slots.length) {
+    errors.push({ message: "No sounds have been added to any slot." });
+  } else if (emptySlots.length > 0) {
+    warnings.push({
+      message: `${emptySlots.length} slot(s) have no sounds and will be exported as empty mappings: ${emptySlots.join(", ")}`,
+    });
+  }
+
+  if (!packInfo.music) {
+    packInfo.ignore
+      .filter((slot) => config[slot]?.length > 0)
+      .forEach((slot) => {
+        warnings.push({ slot, message: "This sound is ignored (muted), so its mapped files will never play." });
+      });
+  }
+
+  plan.failedEdits.forEach(({ slot, track, error }) => {
+    errors.push({ slot, track, message: `Edits could not be applied: ${error.message}` });
+  });
+
+  plan.renamed.forEach(({ slot, track, path }) => {
+    warnings.push({ slot, track, message: `Another file already uses this name, so it will be exported as "${path}".` });
+  });
+
+  for (const { slot, track, blob } of plan.entries) {
+    const format = getSlotFormat(slot);
+    const issue = (message) => ({ slot, track: track.name, message });
+
+    if (!track.name.toLowerCase().endsWith(`.${format}`)) {
+      warnings.push(issue(`File name does not end in .${format}.`));
+    }
+
+    // Only WAV headers can be inspected
+    if (format !== "wav") continue;
+
+    let info;
+    try {
+      info = await readWavInfo(blob);
+    } catch (error) {
+      errors.push(issue(`Invalid WAV file: ${error.message}`));
+      continue;
+    }
+
+    if (info.formatCode === 3) {
+      warnings.push(issue("Uses 32-bit float samples. 16-bit PCM is the safest choice."));
+    } else if (info.formatCode !== 1) {
+      errors.push(issue(`Uses ${info.format} encoding. Only PCM WAV files are supported.`));
+    }
+
+    if (info.channels < 1 || info.channels > 2) {
+      errors.push(issue(`Has ${info.channels} channels. Use mono or stereo.`));
+    }
+
+    if (!SUPPORTED_SAMPLE_RATES.includes(info.sampleRate)) {
+      warnings.push(issue(`Unusual sample rate (${info.sampleRate} Hz).`));
+    }
+
+    if (info.formatCode === 1 && !SUPPORTED_BIT_DEPTHS.includes(info.bitDepth)) {
+      warnings.push(issue(`Unusual bit depth (${info.bitDepth}-bit).`));
+    }
+
+    if (info.duration === 0) {
+      errors.push(issue("Contains no audio."));
+    }
+
+    if (!packInfo.music) {
+      if (info.duration > MAX_UI_SOUND_SECONDS) {
+        warnings.push(issue(`Is ${info.duration.toFixed(1)}s long, which is very long for a UI sound.`));
+      }
+      if (info.dataSize > MAX_UI_SOUND_BYTES) {
+        warnings.push(issue(`Is ${formatFileSize(info.dataSize)}, which is very large for a UI sound.`));
+      }
+    }
+  }
+
+  return { errors, warnings };
+};
@@ -0,0 +1,96 @@
+// How the Deck picks among a slot's files. Stock loaders pick uniformly at
+// random; these settings are extra pack.json metadata that loaders which
+// support them can read and others ignore. Slot settings live in
+// `packInfo.variants` under their pack.json keys, weights on the tracks.
+
+export const DEFAULT_WEIGHT = 1;
+export const MAX_WEIGHT = 10;
+export const MAX_PITCH_VARIATION = 12; // Semitones either way
+
+export const defaultVariantSettings = {
+  avoid_repeat: false,
+  pitch_variation: 0,
+};
+
+export const getVariantSettings = (packInfo, slot) => ({
+  ...defaultVariantSettings,
+  ...packInfo.variants?.[slot],
+});
+
+export const trackWeight = (track) => track.weight ?? DEFAULT_WEIGHT;
+
+export const clampWeight = (weight) =>
+  Number.isFinite(weight) ? Math.min(Math.max(weight, 0), MAX_WEIGHT) : DEFAULT_WEIGHT;
+
+// Chance (0–1) of each track being picked, before "avoid repeat" is applied
+export const variantChances = (tracks) => {
+  const total = tracks.reduce((sum, track) => sum + trackWeight(track), 0);
+  return tracks.map((track) => (total > 0 ? trackWeight(track) / total : 0));
+};
+
+// Weighted random pick. With `avoid_repeat` the previous pick is excluded
+// whenever another track could play instead.
+export const pickVariant = (tracks, settings, previousIndex = null) => {
+  const candidates = tracks
+    .map((track, index) => ({ index, weight: trackWeight(track) }))
+    .filter(({ index, weight }) => weight > 0 && !(settings.avoid_repeat && index === previousIndex));
+
+  const pool = candidates.length > 0 ? candidates : tracks.map((track, index) => ({ index, weight: 1 }));
+  const total = pool.reduce((sum, { weight }) => sum + weight, 0);
+  let target = Math.random() * total;
+
+  for (const { index, weight } of pool) {
+    target -= weight;
+    if (target < 0) return index;
+  }
+  return pool[pool.length - 1]?.index ?? null;
+};
+
+export const randomPlaybackRate = (settings) =>
+  Math.pow(2, ((Math.random() * 2 - 1) * settings.pitch_variation) / 12);
+
+// The pack.json "variants" object, listing only slots (and only fields) that
+// differ from the defaults. Returns null when there is nothing to write, so
+// packs that don't use variants are byte-for-byte what they were before.
+export const buildVariantsJson = (config, packInfo, slots) => {
+  const variants = {};
+
+  slots.forEach((slot) => {
+    const tracks = config[slot] || [];
+    const settings = getVariantSettings(packInfo, slot);
+    const entry = {};
+
+    if (tracks.length > 1 && tracks.some((track) => trackWeight(track) !== DEFAULT_WEIGHT)) {
+      entry.weights = tracks.map(trackWeight);
+    }
+    if (settings.avoid_repeat) entry.avoid_repeat = true;
+    if (settings.pitch_variation > 0) entry.pitch_variation = settings.pitch_variation;
+
+    if (Object.keys(entry).length > 0) variants[slot] = entry;
+  });
+
+  return Object.keys(variants).length > 0 ? variants : null;
+};
+
+// Slot settings from a pack.json "variants" object (or a saved packInfo).
+// Weights belong to the tracks and are read with readVariantWeights().
+export const readVariantSettings = (variants) => {
+  if (!variants || typeof variants !== "object") return {};
+
+  const settings = {};
+  for (const [slot, entry] of Object.entries(variants)) {
+    if (!entry || typeof entry !== "object") continue;
+    const slotSettings = {};
+    if (entry.avoid_repeat === true) slotSettings.avoid_repeat = true;
+    if (Number.isFinite(entry.pitch_variation) && entry.pitch_variation > 0) {
+      slotSettings.pitch_variation = Math.min(entry.pitch_variation, MAX_PITCH_VARIATION);
+    }
+    if (Object.keys(slotSettings).length > 0) settings[slot] = slotSettings;
+  }
+  return settings;
+};
+
+export const readVariantWeights = (variants, slot) => {
+  const weights = variants?.[slot]?.weights;
+  return Array.isArray(weights) ? weights.map((weight) => clampWeight(Number(weight))) : [];
+};
@@ -0,0 +1,110 @@
+import { decodeAudioFile } from "./decodeAudio";
+
+const FFT_SIZE = 512;
+
+export const computePeaks = (audioBuffer, width) => {
+  const data = audioBuffer.getChannelData(0);
+  const samplesPerColumn = Math.max(1, Math.floor(data.length / width));
+  const peaks = [];
+
+  for (let x = 0; x < width; x++) {
+    let min = 0;
+    let max = 0;
+    const offset = x * samplesPerColumn;
+    for (let i = 0; i < samplesPerColumn && offset + i < data.length; i++) {
+      const sample = data[offset + i];
+      if (sample < min) min = sample;
+      if (sample > max) max = sample;
+    }
+    peaks.push([min, max]);
+  }
+
+  return peaks;
+};
+
+// In-place iterative radix-2 FFT
+const fft = (real, imag) => {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + size / 2;
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imag[oddIndex] = imag[evenIndex] - oddImag;
+        real[evenIndex] += oddReal;
+        imag[evenIndex] += oddImag;
+      }
+    }
+  }
+};
+
+// One column of normalized (0–1) magnitudes per pixel, low frequencies first
+export const computeSpectrogram = (audioBuffer, columns) => {
+  const data = audioBuffer.getChannelData(0);
+  const bins = FFT_SIZE / 2;
+  const hop = Math.max(1, Math.floor((data.length - FFT_SIZE) / columns));
+  const hann = Float32Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1)));
+  const result = [];
+
+  for (let column = 0; column < columns; column++) {
+    const real = new Float32Array(FFT_SIZE);
+    const imag = new Float32Array(FFT_SIZE);
+    const offset = column * hop;
+    for (let i = 0; i < FFT_SIZE && offset + i < data.length; i++) {
+      real[i] = data[offset + i] * hann[i];
+    }
+
+    fft(real, imag);
+
+    const magnitudes = new Float32Array(bins);
+    for (let bin = 0; bin < bins; bin++) {
+      const magnitude = Math.sqrt(real[bin] * real[bin] + imag[bin] * imag[bin]) / bins;
+      // Map -90..0 dB onto 0..1
+      magnitudes[bin] = Math.min(Math.max((20 * Math.log10(magnitude + 1e-12) + 90) / 90, 0), 1);
+    }
+    result.push(magnitudes);
+  }
+
+  return result;
+};
+
+// Visualizations are computed once per file and size
+const cache = new WeakMap();
+
+const cached = (file, key, compute) => {
+  if (!cache.has(file)) cache.set(file, new Map());
+  const entries = cache.get(file);
+  if (!entries.has(key)) {
+    const result = decodeAudioFile(file)
+      .then(compute)
+      .catch((error) => {
+        entries.delete(key);
+        throw error;
+      });
+    entries.set(key, result);
+  }
+  return entries.get(key);
+};
+
+export const getWaveform = (file, width) =>
+  cached(file, `waveform:${width}`, (audioBuffer) => ({ peaks: computePeaks(audioBuffer, width), duration: audioBuffer.duration }));
+
+export const getSpectrogram = (file, width) =>
+  cached(file, `spectrogram:${width}`, (audioBuffer) => ({ columns: computeSpectrogram(audioBuffer, width), duration: audioBuffer.duration }));
@@ -0,0 +1,71 @@
+export const WAV_FORMATS = {
+  0x0001: "PCM",
+  0x0002: "Microsoft ADPCM",
+  0x0003: "IEEE Float",
+  0x0006: "A-law",
+  0x0007: "μ-law",
+  0x0011: "IMA ADPCM",
+  0x0055: "MPEG Layer 3",
+  0xfffe: "Extensible",
+};
+
+const readString = (view, offset, length) => {
+  let result = "";
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    result += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return result;
+};
+
+// Walks the RIFF chunks of a WAV file and returns its fmt/data details
+export const parseWavHeader = (arrayBuffer) => {
+  const view = new DataView(arrayBuffer);
+
+  if (view.byteLength < 12 || readString(view, 0, 4) !== "RIFF" || readString(view, 8, 4) !== "WAVE") {
+    throw new Error("Not a RIFF/WAVE file.");
+  }
+
+  let fmt = null;
+  let dataSize = null;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readString(view, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const chunkStart = offset + 8;
+
+    if (chunkId === "fmt " && chunkStart + 16 <= view.byteLength) {
+      let formatCode = view.getUint16(chunkStart, true);
+      // WAVE_FORMAT_EXTENSIBLE stores the real format in the sub-format GUID
+      if (formatCode === 0xfffe && chunkSize >= 40 && chunkStart + 26 <= view.byteLength) {
+        formatCode = view.getUint16(chunkStart + 24, true);
+      }
+
+      fmt = {
+        formatCode,
+        channels: view.getUint16(chunkStart + 2, true),
+        sampleRate: view.getUint32(chunkStart + 4, true),
+        byteRate: view.getUint32(chunkStart + 8, true),
+        bitDepth: view.getUint16(chunkStart + 14, true),
+      };
+    } else if (chunkId === "data") {
+      // Streams sometimes leave the size unset, so fall back to what is actually there
+      dataSize = Math.min(chunkSize, view.byteLength - chunkStart);
+      if (fmt) break;
+    }
+
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  if (!fmt) throw new Error("Missing fmt chunk.");
+  if (dataSize === null) throw new Error("Missing data chunk.");
+
+  return {
+    ...fmt,
+    format: WAV_FORMATS[fmt.formatCode] || `Unknown (0x${fmt.formatCode.toString(16)})`,
+    dataSize,
+    duration: fmt.byteRate > 0 ? dataSize / fmt.byteRate : 0,
+  };
+};
+
+export const readWavInfo = async (file) => parseWavHeader(await file.arrayBuffer());
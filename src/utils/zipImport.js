@@ -0,0 +1,189 @@
+import JSZip from "jszip";
+import { normalizePackInfo, getCatalog } from "./packManifest";
+import { matchSlot } from "./slotMatching";
+import { readVariantWeights } from "./variants";
+import { uniqueName } from "./mergePack";
+
+export const AUDIO_EXTENSIONS = [".wav", ".mp3", ".ogg", ".flac", ".m4a"];
+
+const isAudioPath = (path) => AUDIO_EXTENSIONS.some((extension) => path.toLowerCase().endsWith(extension));
+
+const baseName = (path) => path.split("/").pop();
+
+const dirName = (path) => (path.includes("/") ? path.slice(0, path.lastIndexOf("/") + 1) : "");
+
+// Collapses "./" and "../" segments so mapped paths can be compared with ZIP entries
+const normalizePath = (path) => {
+  const parts = [];
+  path.replace(/\\/g, "/").split("/").forEach((part) => {
+    if (part === "" || part === ".") return;
+    if (part === "..") parts.pop();
+    else parts.push(part);
+  });
+  return parts.join("/");
+};
+
+// Archives made on macOS carry resource-fork copies of every file
+const isJunkPath = (path) => path.startsWith("__MACOSX/") || baseName(path).startsWith("._");
+
+// Removes // and /* */ comments that sit outside of string literals
+const stripComments = (text) => {
+  let result = "";
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (char === "\\") result += text[++i] ?? "";
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      result += "\n";
+    } else if (char === "/" && text[i + 1] === "*") {
+      i = text.indexOf("*/", i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+};
+
+// Hand-written pack.json files often have comments or trailing commas
+export const parsePackJson = (text) => {
+  const content = text.replace(/^\uFEFF/, "");
+  try {
+    return { pack: JSON.parse(content), repaired: false };
+  } catch (error) {
+    const cleaned = stripComments(content).replace(/,\s*([}\]])/g, "$1");
+    try {
+      return { pack: JSON.parse(cleaned), repaired: true };
+    } catch {
+      return { pack: null, error: error.message };
+    }
+  }
+};
+
+// Reads a pack ZIP into an import summary: the manifest, the tracks found for
+// each mapping, mapped files that are missing and audio files nothing maps to.
+// Throws only when the file isn't a readable ZIP at all.
+export const readPackZip = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  return readPackEntries(Object.values(zip.files).filter((entry) => !entry.dir));
+};
+
+// The same for loose files, e.g. a pack folder on disk: `files` holds
+// { path, blob } with paths relative to the folder
+export const readPackFiles = (files) =>
+  readPackEntries(files.map(({ path, blob }) => ({
+    name: path,
+    async: (type) => (type === "text" ? blob.text() : Promise.resolve(blob)),
+  })));
+
+// `entries` are JSZip entries, or anything with a `name` and JSZip's
+// `async("text" | "blob")`
+const readPackEntries = async (allEntries) => {
+  const entries = allEntries.filter((entry) => !isJunkPath(entry.name));
+  const notes = [];
+
+  const packEntry = entries
+    .filter((entry) => baseName(entry.name).toLowerCase() === "pack.json")
+    .sort((a, b) => a.name.split("/").length - b.name.split("/").length)[0];
+  const root = packEntry ? dirName(packEntry.name) : "";
+
+  let parsedPack = null;
+  if (!packEntry) {
+    notes.push("No pack.json was found. Audio files can be assigned to slots below.");
+  } else {
+    const { pack, repaired, error } = parsePackJson(await packEntry.async("text"));
+    if (!pack || typeof pack !== "object") {
+      notes.push(`pack.json could not be read (${error || "not an object"}). Audio files can be assigned to slots below.`);
+    } else {
+      parsedPack = pack;
+      if (repaired) notes.push("pack.json contained syntax errors and was repaired.");
+      if (root) notes.push(`The pack was found in the "${root}" folder.`);
+    }
+  }
+
+  const byPath = new Map(entries.map((entry) => [entry.name, entry]));
+  const byLowerPath = new Map(entries.map((entry) => [entry.name.toLowerCase(), entry]));
+  const byName = new Map();
+  entries.forEach((entry) => {
+    const name = baseName(entry.name).toLowerCase();
+    byName.set(name, byName.has(name) ? null : entry); // null marks an ambiguous name
+  });
+
+  const resolve = (trackName) => {
+    const relative = normalizePath(root + trackName);
+    return (
+      byPath.get(relative) ||
+      byPath.get(normalizePath(trackName)) ||
+      byLowerPath.get(relative.toLowerCase()) ||
+      byName.get(baseName(trackName).toLowerCase()) ||
+      null
+    );
+  };
+
+  const slots = {};
+  const missing = [];
+  const unknownSlots = [];
+  const used = new Set();
+  const mappings = parsedPack?.mappings && typeof parsedPack.mappings === "object" ? parsedPack.mappings : {};
+  const knownSlots = new Set([...getCatalog(false), ...getCatalog(true)].map((item) => item.fileName));
+
+  for (const slot in mappings) {
+    const trackNames = Array.isArray(mappings[slot]) ? mappings[slot] : [mappings[slot]];
+    const weights = readVariantWeights(parsedPack.variants, slot);
+    slots[slot] = [];
+    if (!knownSlots.has(slot)) unknownSlots.push(slot);
+
+    for (const [index, trackName] of trackNames.entries()) {
+      if (typeof trackName !== "string") continue;
+
+      const entry = resolve(trackName);
+      if (!entry) {
+        missing.push({ slot, name: trackName });
+        continue;
+      }
+
+      // Tracks are named by file name, so "a/click.wav" and "b/click.wav" in
+      // one slot need telling apart
+      const name = uniqueName(baseName(trackName), new Set(slots[slot].map((track) => track.name)));
+      used.add(entry.name);
+      slots[slot].push({ name, blob: await entry.async("blob"), weight: weights[index] });
+    }
+  }
+
+  // Kept so a newer release can add to it (see packDiff)
+  const changelogEntry = byLowerPath.get(`${root}changelog.md`.toLowerCase());
+  const changelog = changelogEntry ? await changelogEntry.async("text") : null;
+
+  const catalog = getCatalog(parsedPack?.music === true);
+  const strays = [];
+  for (const entry of entries) {
+    if (used.has(entry.name) || !isAudioPath(entry.name)) continue;
+    strays.push({
+      path: entry.name,
+      name: baseName(entry.name),
+      blob: await entry.async("blob"),
+      suggestedSlot: matchSlot(entry.name, catalog),
+    });
+  }
+
+  return {
+    packInfo: parsedPack ? normalizePackInfo(parsedPack) : null,
+    slots,
+    missing,
+    strays,
+    unknownSlots,
+    notes,
+    changelog,
+  };
+};
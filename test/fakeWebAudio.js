@@ -0,0 +1,199 @@
+// Just enough Web Audio and MediaRecorder for the recorder to run under Node.
+// The fake "microphone" really renders its oscillator graph, the fake codec is
+// raw 32-bit float PCM, and offline rendering resamples linearly, so what comes
+// out of recordingToWav() is a real WAV of the tone.
+
+export const DEVICE_RATE = 48000;
+
+class FakeAudioBuffer {
+  constructor(numberOfChannels, length, sampleRate) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+
+  copyToChannel(data, channel) {
+    this.channels[channel].set(data.subarray(0, this.length));
+  }
+}
+
+// Nodes pull their inputs' output sample by sample
+class FakeNode {
+  constructor(sample = () => 0) {
+    this.inputs = [];
+    this.sample = sample;
+  }
+
+  connect(target) {
+    target.inputs.push(this);
+    return target;
+  }
+
+  disconnect() {}
+
+  mix(time) {
+    return this.inputs.reduce((sum, input) => sum + input.sample(time), 0);
+  }
+}
+
+class FakeTrack {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addEventListener(type, listener) {
+    if (type === "ended") this.listeners.push(listener);
+  }
+
+  stop() {
+    this.listeners.forEach((listener) => listener());
+  }
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.sampleRate = DEVICE_RATE;
+  }
+
+  resume() {
+    return Promise.resolve();
+  }
+
+  createOscillator() {
+    const oscillator = new FakeNode((time) => Math.sin(2 * Math.PI * oscillator.frequency.value * time));
+    oscillator.frequency = { value: 440 };
+    oscillator.start = () => {};
+    oscillator.stop = () => {};
+    return oscillator;
+  }
+
+  createGain() {
+    const gain = new FakeNode((time) => gain.mix(time) * gain.gain.value);
+    gain.gain = { value: 1 };
+    return gain;
+  }
+
+  createMediaStreamDestination() {
+    const destination = new FakeNode();
+    const track = new FakeTrack();
+    destination.stream = {
+      getAudioTracks: () => [track],
+      getTracks: () => [track],
+      render: (length) => Float32Array.from({ length }, (_, i) => destination.mix(i / DEVICE_RATE)),
+    };
+    return destination;
+  }
+
+  createMediaStreamSource() {
+    return new FakeNode();
+  }
+
+  createAnalyser() {
+    const analyser = new FakeNode();
+    analyser.fftSize = 2048;
+    analyser.getFloatTimeDomainData = (samples) => samples.fill(0);
+    return analyser;
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new FakeAudioBuffer(numberOfChannels, length, sampleRate);
+  }
+
+  decodeAudioData(data) {
+    const samples = new Float32Array(data);
+    const buffer = new FakeAudioBuffer(1, samples.length, DEVICE_RATE);
+    buffer.copyToChannel(samples, 0);
+    return Promise.resolve(buffer);
+  }
+}
+
+class FakeOfflineAudioContext {
+  constructor(numberOfChannels, length, sampleRate) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.destination = new FakeNode();
+  }
+
+  createBufferSource() {
+    const source = new FakeNode();
+    source.playbackRate = { value: 1 };
+    source.start = () => {};
+    this.source = source;
+    return source;
+  }
+
+  // Linear interpolation; mono sources are copied to every output channel
+  startRendering() {
+    const { buffer, playbackRate } = this.source;
+    const output = new FakeAudioBuffer(this.numberOfChannels, this.length, this.sampleRate);
+    const step = (buffer.sampleRate / this.sampleRate) * playbackRate.value;
+
+    output.channels.forEach((data, channel) => {
+      const input = buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
+      for (let i = 0; i < data.length; i++) {
+        const position = i * step;
+        const index = Math.floor(position);
+        if (index >= input.length - 1) break;
+        data[i] = input[index] + (input[index + 1] - input[index]) * (position - index);
+      }
+    });
+    return Promise.resolve(output);
+  }
+}
+
+// Records the stream's tone for as long as it ran, at least 50 ms
+class FakeMediaRecorder {
+  constructor(stream) {
+    this.stream = stream;
+    this.state = "inactive";
+    this.mimeType = "audio/x-fake-pcm";
+    this.listeners = { dataavailable: [], stop: [], error: [] };
+  }
+
+  addEventListener(type, listener, { once = false } = {}) {
+    const wrapped = once
+      ? (event) => {
+        this.listeners[type] = this.listeners[type].filter((entry) => entry !== wrapped);
+        listener(event);
+      }
+      : listener;
+    this.listeners[type].push(wrapped);
+  }
+
+  emit(type, event) {
+    [...this.listeners[type]].forEach((listener) => listener(event));
+  }
+
+  start() {
+    this.state = "recording";
+    this.startedAt = Date.now();
+  }
+
+  stop() {
+    const seconds = Math.max(Date.now() - this.startedAt, 50) / 1000;
+    const samples = this.stream.render(Math.round(seconds * DEVICE_RATE));
+    this.state = "inactive";
+    queueMicrotask(() => {
+      this.emit("dataavailable", { data: new Blob([samples.buffer], { type: this.mimeType }) });
+      this.emit("stop", {});
+    });
+  }
+}
+
+export const installFakeWebAudio = () => {
+  Object.assign(globalThis, {
+    window: globalThis,
+    AudioContext: FakeAudioContext,
+    OfflineAudioContext: FakeOfflineAudioContext,
+    MediaRecorder: FakeMediaRecorder,
+    requestAnimationFrame: (callback) => setTimeout(callback, 16),
+    cancelAnimationFrame: (handle) => clearTimeout(handle),
+  });
+};
@@ -0,0 +1,281 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import {
+  defaultPackInfo,
+  createEmptyConfig,
+  createTrack,
+  readPackZip,
+  readPackFiles,
+  configFromImport,
+  suggestedAssignments,
+  planExport,
+  buildManifest,
+  buildPackZip,
+  checkPack,
+  snapshotImport,
+} from "../src/pack/index.js";
+import { parsePackJson } from "../src/utils/zipImport.js";
+import { snapshotPlan, diffPacks, hasChanges } from "../src/utils/packDiff.js";
+import { hashBlob } from "../src/utils/exportPlan.js";
+import { encodeWav } from "../src/utils/wav.js";
+
+const LAUNCH = "deck_ui_launch_game.wav";
+const NAVIGATION = "deck_ui_navigation.wav";
+const TOAST = "deck_ui_achievement_toast.wav";
+
+// A short sine; different frequencies give files with different bytes
+const tone = (frequency, length = 441) => {
+  const samples = Float32Array.from({ length }, (_, i) => Math.sin((2 * Math.PI * frequency * i) / 44100) * 0.5);
+  return new Blob([encodeWav([samples], 44100)], { type: "audio/wav" });
+};
+
+const packInfo = { ...defaultPackInfo, name: "Test Pack", author: "Tester", version: "v1.2" };
+
+const sampleConfig = () => {
+  const config = createEmptyConfig();
+  config[LAUNCH] = [createTrack("launch.wav", tone(440)), createTrack("launch_alt.wav", tone(660), 3)];
+  config[NAVIGATION] = [createTrack("nav.wav", tone(880))];
+  return config;
+};
+
+// Builds, then reads the ZIP back the way the app's import does
+const roundTrip = async (config, info, options) => {
+  const { data, fileName } = await buildPackZip(config, info, { ...options, type: "uint8array" });
+  return { result: await readPackZip(data), fileName };
+};
+
+const hashesBySlot = async (config) => {
+  const hashes = {};
+  for (const [slot, tracks] of Object.entries(config)) {
+    if (tracks.length > 0) hashes[slot] = await Promise.all(tracks.map((track) => hashBlob(track.file)));
+  }
+  return hashes;
+};
+
+test("an AudioLoader pack survives export and import", async () => {
+  const config = sampleConfig();
+  const { result, fileName } = await roundTrip(config, packInfo);
+  const imported = configFromImport(result);
+
+  assert.equal(fileName, "Test_Pack-v1.2.zip");
+  assert.deepEqual(result.missing, []);
+  assert.deepEqual(result.strays, []);
+  assert.equal(imported.packInfo.name, "Test Pack");
+  assert.equal(imported.packInfo.author, "Tester");
+  assert.equal(imported.packInfo.version, "v1.2");
+  assert.deepEqual(imported.config[LAUNCH].map((track) => track.name), ["launch.wav", "launch_alt.wav"]);
+  assert.deepEqual(imported.config[LAUNCH].map((track) => track.weight), [1, 3]);
+  assert.deepEqual(imported.config[NAVIGATION].map((track) => track.name), ["nav.wav"]);
+  assert.deepEqual(imported.config[TOAST], []);
+  assert.deepEqual(await hashesBySlot(imported.config), await hashesBySlot(config));
+});
+
+for (const naming of ["prefix", "folders"]) {
+  test(`"${naming}" naming maps to the renamed files`, async () => {
+    const config = sampleConfig();
+    const manifest = await buildManifest(config, packInfo, naming);
+    const { result } = await roundTrip(config, packInfo, { naming });
+
+    const expected = naming === "prefix" ? "deck_ui_navigation_nav.wav" : "deck_ui_navigation/nav.wav";
+    assert.deepEqual(manifest.mappings[NAVIGATION], [expected]);
+    assert.deepEqual(result.missing, []);
+    assert.deepEqual(result.strays, []);
+    assert.deepEqual(await hashesBySlot(configFromImport(result).config), await hashesBySlot(config));
+  });
+}
+
+test("re-exporting an imported \"prefix\" pack doesn't prefix it twice", async () => {
+  const first = await roundTrip(sampleConfig(), packInfo, { naming: "prefix" });
+  const imported = configFromImport(first.result);
+  const manifest = await buildManifest(imported.config, imported.packInfo, "prefix");
+  const second = await roundTrip(imported.config, imported.packInfo, { naming: "prefix" });
+
+  assert.deepEqual(manifest.mappings[NAVIGATION], ["deck_ui_navigation_nav.wav"]);
+  assert.deepEqual(manifest.mappings[LAUNCH], ["deck_ui_launch_game_launch.wav", "deck_ui_launch_game_launch_alt.wav"]);
+  assert.deepEqual(second.result.slots, first.result.slots);
+});
+
+test("identical files are stored once and shared by their slots", async () => {
+  const config = createEmptyConfig();
+  config[LAUNCH] = [createTrack("click.wav", tone(440))];
+  config[NAVIGATION] = [createTrack("click.wav", tone(440))];
+
+  const plan = await planExport(config, packInfo);
+  assert.equal(plan.files.length, 1);
+  assert.deepEqual(plan.mappings[LAUNCH], ["click.wav"]);
+  assert.deepEqual(plan.mappings[NAVIGATION], ["click.wav"]);
+
+  const { result } = await roundTrip(config, packInfo, { plan });
+  assert.equal(result.slots[LAUNCH].length, 1);
+  assert.equal(result.slots[NAVIGATION].length, 1);
+});
+
+test("different files with the same name get unique paths", async () => {
+  const config = createEmptyConfig();
+  config[LAUNCH] = [createTrack("click.wav", tone(440))];
+  config[NAVIGATION] = [createTrack("click.wav", tone(880))];
+
+  const plan = await planExport(config, packInfo);
+  assert.equal(plan.files.length, 2);
+  assert.notEqual(plan.mappings[LAUNCH][0], plan.mappings[NAVIGATION][0]);
+  assert.equal(plan.renamed.length, 1);
+});
+
+test("a folder without pack.json is matched to slots by file name", async () => {
+  const result = await readPackFiles([
+    { path: "sounds/launch_game.wav", blob: tone(440) },
+    { path: "sounds/Navigation-02.wav", blob: tone(880) },
+    { path: "sounds/whatever.wav", blob: tone(220) },
+    { path: "notes.txt", blob: new Blob(["not audio"]) },
+  ]);
+
+  assert.equal(result.packInfo, null);
+  assert.equal(result.strays.length, 3);
+
+  const assignments = suggestedAssignments(result);
+  assert.deepEqual(assignments, {
+    "sounds/launch_game.wav": LAUNCH,
+    "sounds/Navigation-02.wav": NAVIGATION,
+  });
+
+  const { config } = configFromImport(result, assignments);
+  assert.deepEqual(config[LAUNCH].map((track) => track.name), ["launch_game.wav"]);
+  assert.deepEqual(config[NAVIGATION].map((track) => track.name), ["Navigation-02.wav"]);
+});
+
+test("a pack.json in a subfolder resolves paths relative to it", async () => {
+  const pack = { ...packInfo, mappings: { [LAUNCH]: ["audio/launch.wav"] } };
+  const result = await readPackFiles([
+    { path: "My Pack/pack.json", blob: new Blob([JSON.stringify(pack)]) },
+    { path: "My Pack/audio/launch.wav", blob: tone(440) },
+  ]);
+
+  assert.deepEqual(result.missing, []);
+  assert.deepEqual(result.slots[LAUNCH].map((track) => track.name), ["launch.wav"]);
+  assert.ok(result.notes.some((note) => note.includes("My Pack/")));
+});
+
+test("mapped files that share a name in one slot are both kept", async () => {
+  const pack = { ...packInfo, mappings: { [LAUNCH]: ["a/click.wav", "b/click.wav"] } };
+  const result = await readPackFiles([
+    { path: "pack.json", blob: new Blob([JSON.stringify(pack)]) },
+    { path: "a/click.wav", blob: tone(440) },
+    { path: "b/click.wav", blob: tone(880) },
+  ]);
+  const { config } = configFromImport(result);
+
+  assert.deepEqual(config[LAUNCH].map((track) => track.name), ["click.wav", "click_2.wav"]);
+  assert.notEqual(await hashBlob(config[LAUNCH][0].file), await hashBlob(config[LAUNCH][1].file));
+});
+
+test("hand-written pack.json with comments and trailing commas is repaired", () => {
+  const { pack, repaired } = parsePackJson(`{
+    // made by hand
+    "name": "Hand Made", /* still fine */
+    "mappings": { "${LAUNCH}": ["a.wav",], },
+  }`);
+
+  assert.equal(repaired, true);
+  assert.equal(pack.name, "Hand Made");
+  assert.deepEqual(pack.mappings[LAUNCH], ["a.wav"]);
+  assert.equal(parsePackJson("{ not json").pack, null);
+});
+
+test("checkPack reports missing files, unknown slots and unmapped audio", async () => {
+  const zip = new JSZip();
+  zip.file("pack.json", JSON.stringify({
+    ...packInfo,
+    mappings: { [LAUNCH]: ["launch.wav", "gone.wav"], "not_a_slot.wav": ["launch.wav"] },
+  }));
+  zip.file("launch.wav", await tone(440).arrayBuffer());
+  zip.file("extra.wav", await tone(880).arrayBuffer());
+
+  const report = await checkPack(await readPackZip(await zip.generateAsync({ type: "uint8array" })));
+
+  assert.ok(report.errors.some(({ slot, track }) => slot === LAUNCH && track === "gone.wav"));
+  assert.ok(report.warnings.some(({ slot }) => slot === "not_a_slot.wav"));
+  assert.ok(report.warnings.some(({ track }) => track === "extra.wav"));
+});
+
+test("checkPack requires a pack.json", async () => {
+  const zip = new JSZip();
+  zip.file("launch.wav", await tone(440).arrayBuffer());
+
+  const report = await checkPack(await readPackZip(await zip.generateAsync({ type: "uint8array" })));
+  assert.ok(report.errors.some(({ message }) => message.includes("pack.json")));
+});
+
+test("the folders profile writes each slot's sounds without a manifest", async () => {
+  const { data } = await buildPackZip(sampleConfig(), packInfo, { profile: "folders", type: "uint8array" });
+  const zip = await JSZip.loadAsync(data);
+  const paths = Object.keys(zip.files).filter((path) => !zip.files[path].dir).sort();
+
+  assert.deepEqual(paths, [
+    "deck_ui_launch_game/launch.wav",
+    "deck_ui_launch_game/launch_alt.wav",
+    "deck_ui_navigation/nav.wav",
+  ]);
+});
+
+test("the Steam UI override picks the heaviest variant and silences ignored slots", async () => {
+  const config = sampleConfig();
+  const info = { ...packInfo, ignore: [TOAST, "steam_at_mention.m4a"] };
+  const { data, fileName } = await buildPackZip(config, info, { profile: "steamui", type: "uint8array" });
+  const zip = await JSZip.loadAsync(data);
+
+  assert.equal(fileName, "Test_Pack-v1.2-steamui.zip");
+  assert.equal(zip.file("pack.json"), null);
+  assert.equal(
+    await hashBlob(new Blob([await zip.file(`sounds/${LAUNCH}`).async("uint8array")])),
+    await hashBlob(config[LAUNCH][1].file)
+  );
+  assert.ok(zip.file(`sounds/${NAVIGATION}`));
+  assert.ok(zip.file(`sounds/${TOAST}`));
+  assert.equal(zip.file("sounds/steam_at_mention.m4a"), null);
+  assert.match(await zip.file("README.txt").async("text"), /only WAV sounds can be silenced[^]*steam_at_mention\.m4a/);
+
+  const script = zip.file("steamui-sounds.sh");
+  assert.equal(script.unixPermissions & 0o777, 0o755);
+  assert.match(await script.async("text"), new RegExp(`FILES=".*${TOAST}`));
+});
+
+test("the Steam UI override refuses music packs", async () => {
+  const config = createEmptyConfig();
+  config["menu_music.mp3"] = [createTrack("menu.mp3", new Blob(["mp3"]))];
+
+  await assert.rejects(
+    buildPackZip(config, { ...packInfo, music: true }, { profile: "steamui" }),
+    /only cover sound effects/
+  );
+});
+
+test("an unchanged re-export has no changes against its own release", async () => {
+  const config = sampleConfig();
+  const { result } = await roundTrip(config, packInfo, { naming: "prefix" });
+  const baseline = await snapshotImport(result);
+
+  const current = snapshotPlan(packInfo, await planExport(config, packInfo, "prefix"));
+  assert.equal(hasChanges(diffPacks(baseline, current)), false);
+
+  config[NAVIGATION].push(createTrack("nav_2.wav", tone(990)));
+  const diff = diffPacks(baseline, snapshotPlan(packInfo, await planExport(config, packInfo, "prefix")));
+  assert.deepEqual(
+    diff.slots.map(({ slot, added }) => ({ slot, added })),
+    [{ slot: NAVIGATION, added: ["deck_ui_navigation_nav_2.wav"] }]
+  );
+});
+
+test("a baseline adds a changelog to the export", async () => {
+  const config = sampleConfig();
+  const { result } = await roundTrip(config, packInfo);
+  const baseline = await snapshotImport(result);
+
+  config[TOAST] = [createTrack("toast.wav", tone(1200))];
+  const next = { ...packInfo, version: "v1.3" };
+  const { result: released } = await roundTrip(config, next, { baseline });
+
+  assert.match(released.changelog, /^# Test Pack Changelog/);
+  assert.match(released.changelog, /## v1\.3/);
+  assert.match(released.changelog, /Achievement Toast\*\*: custom sound added: toast\.wav/);
+});
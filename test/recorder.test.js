@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeWebAudio, DEVICE_RATE } from "./fakeWebAudio.js";
+import { createToneStream, startRecording, recordingToWav } from "../src/utils/recorder.js";
+import { defaultEdits } from "../src/utils/audioEdits.js";
+
+installFakeWebAudio();
+
+const readWavHeader = async (file) => {
+  const view = new DataView(await file.arrayBuffer());
+  return {
+    channels: view.getUint16(22, true),
+    sampleRate: view.getUint32(24, true),
+    bitDepth: view.getUint16(34, true),
+    dataSize: view.getUint32(40, true),
+  };
+};
+
+// Zero crossings of the first channel of 24-bit PCM, for the tone's pitch
+const countCrossings = async (file, channels) => {
+  const bytes = new Uint8Array(await file.arrayBuffer(), 44);
+  let crossings = 0;
+  let previous = 0;
+  for (let offset = 0; offset + 2 < bytes.length; offset += channels * 3) {
+    const sample = ((bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)) << 8) >> 8;
+    if (sample !== 0 && previous !== 0 && Math.sign(sample) !== Math.sign(previous)) crossings++;
+    if (sample !== 0) previous = sample;
+  }
+  return crossings;
+};
+
+const recordTone = async (milliseconds = 100) => {
+  const recording = startRecording(await createToneStream(440));
+  await new Promise((resolve) => setTimeout(resolve, milliseconds));
+  return recording.stop();
+};
+
+test("a recording is written in the conversion settings' format", async () => {
+  const take = await recordTone();
+  const file = await recordingToWav(take, "take.wav", defaultEdits, {
+    sampleRate: 22050,
+    bitDepth: 24,
+    channels: 2,
+    reencodeWav: false,
+  });
+  const header = await readWavHeader(file);
+
+  assert.equal(file.name, "take.wav");
+  assert.equal(file.type, "audio/wav");
+  assert.equal(header.sampleRate, 22050);
+  assert.equal(header.bitDepth, 24);
+  assert.equal(header.channels, 2);
+
+  // The take was recorded at the device rate and resampled, not relabelled
+  const recordedSeconds = take.size / 4 / DEVICE_RATE;
+  const writtenSeconds = header.dataSize / (header.channels * 3) / header.sampleRate;
+  assert.ok(Math.abs(writtenSeconds - recordedSeconds) < 0.001);
+
+  // Still a 440 Hz tone: two zero crossings per cycle
+  const frequency = (await countCrossings(file, 2)) / 2 / writtenSeconds;
+  assert.ok(Math.abs(frequency - 440) < 15, `tone came out at ${frequency} Hz`);
+});
+
+test("without settings a recording matches the stock sounds", async () => {
+  const file = await recordingToWav(await recordTone(), "take.wav", defaultEdits);
+  const header = await readWavHeader(file);
+
+  assert.equal(header.sampleRate, 44100);
+  assert.equal(header.bitDepth, 16);
+  assert.equal(header.channels, 2);
+});
+
+test("trimming a recording shortens the written file", async () => {
+  const file = await recordingToWav(await recordTone(200), "take.wav", { ...defaultEdits, start: 0.05, end: 0.15 }, {
+    sampleRate: 44100,
+    bitDepth: 16,
+    channels: 1,
+    reencodeWav: false,
+  });
+  const header = await readWavHeader(file);
+
+  assert.equal(header.channels, 1);
+  assert.ok(Math.abs(header.dataSize / 2 / 44100 - 0.1) < 0.001);
+});
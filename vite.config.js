@@ -1,9 +1,62 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { FFMPEG_CORE_URL, FFMPEG_WASM_URL } from './src/utils/ffmpegCore.js'
+
+const listFiles = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)]
+  )
+
+// Emits sw.js with a precache manifest of the build output and public/, plus
+// the cross-origin ffmpeg core so converting works offline from the start. The
+// version changes whenever any precached file does, which is what makes the
+// browser install the new worker and the app show its update notice.
+const precache = () => {
+  let config
+
+  return {
+    name: 'sdeck-precache',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const urls = []
+
+      for (const [fileName, output] of Object.entries(bundle)) {
+        if (fileName.endsWith('.map')) continue
+        urls.push(config.base + fileName)
+        hash.update(fileName).update(output.type === 'asset' ? output.source : output.code)
+      }
+
+      for (const file of listFiles(config.publicDir)) {
+        const path = relative(config.publicDir, file).split('\\').join('/')
+        urls.push(config.base + path)
+        hash.update(path).update(readFileSync(file))
+      }
+
+      const runtimeUrls = [FFMPEG_CORE_URL, FFMPEG_WASM_URL]
+      runtimeUrls.forEach((url) => hash.update(url))
+
+      const manifest = { version: hash.digest('hex').slice(0, 12), urls: urls.sort(), runtimeUrls }
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n\n` +
+          readFileSync('src/sw/serviceWorker.js', 'utf8'),
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precache()],
   optimizeDeps: {
     include: ['@ffmpeg/ffmpeg'],
   },